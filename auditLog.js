@@ -0,0 +1,42 @@
+// Append-only log of moderation actions taken from komebyu, stored as JSON
+// lines under the userData directory so mods can look back at what they did.
+
+const { app } = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+function logPath() {
+  return path.join(app.getPath("userData"), "moderation-audit.jsonl");
+}
+
+function appendAuditEntry(entry) {
+  try {
+    fs.mkdirSync(path.dirname(logPath()), { recursive: true });
+    fs.appendFileSync(logPath(), `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (e) {
+    console.log("[audit] write failed", e?.message || e);
+  }
+}
+
+function readAuditEntries(limit = 100) {
+  let text = "";
+  try {
+    text = fs.readFileSync(logPath(), "utf8");
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split("\n").slice(-limit - 1)) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {}
+  }
+  return entries.slice(-limit);
+}
+
+module.exports = {
+  appendAuditEntry,
+  readAuditEntries,
+};
@@ -0,0 +1,61 @@
+// Stores account credentials (e.g. the Twitch OAuth token) encrypted with
+// Electron safeStorage under the userData directory. Nothing is written when
+// the OS keychain is unavailable, so secrets never land on disk in plain text.
+
+const { app, safeStorage } = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+function storePath() {
+  return path.join(app.getPath("userData"), "credentials.json");
+}
+
+function readStore() {
+  try {
+    return JSON.parse(fs.readFileSync(storePath(), "utf8")) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeStore(store) {
+  fs.mkdirSync(path.dirname(storePath()), { recursive: true });
+  fs.writeFileSync(storePath(), JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+function isAvailable() {
+  return safeStorage.isEncryptionAvailable();
+}
+
+function loadCredential(key) {
+  const encrypted = readStore()[key];
+  if (!encrypted || !isAvailable()) return null;
+  try {
+    return JSON.parse(safeStorage.decryptString(Buffer.from(encrypted, "base64")));
+  } catch (e) {
+    console.log("[credentials] decrypt failed", key, e?.message || e);
+    return null;
+  }
+}
+
+function saveCredential(key, value) {
+  if (!isAvailable()) {
+    throw new Error("OSの暗号化ストレージが利用できないため保存できません");
+  }
+  const store = readStore();
+  store[key] = safeStorage.encryptString(JSON.stringify(value)).toString("base64");
+  writeStore(store);
+}
+
+function clearCredential(key) {
+  const store = readStore();
+  if (!(key in store)) return;
+  delete store[key];
+  writeStore(store);
+}
+
+module.exports = {
+  loadCredential,
+  saveCredential,
+  clearCredential,
+};
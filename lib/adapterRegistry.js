@@ -0,0 +1,55 @@
+// Platform adapters used by ConnectionManager.connectAuto. An adapter is
+//
+//   {
+//     name,                 "twitch", "niconico", ...
+//     prefixes,             explicit input prefixes, e.g. ["tw", "twitch"] for "tw:shroud"
+//     match(input),         true if the (unprefixed) input belongs to the platform
+//     connect(manager, input, options),
+//     fallback,             optional; tried only after every other adapter
+//   }
+//
+// connect() opens its connection through manager.openConnection and reports
+// everything else (messages, status, disconnect) through the manager, like
+// the built-in connectors.
+
+class AdapterRegistry {
+  constructor() {
+    this.adapters = [];
+  }
+
+  register(adapter) {
+    if (!adapter?.name || typeof adapter.connect !== "function") {
+      throw new Error("adapter needs a name and connect()");
+    }
+    this.adapters = this.adapters.filter((a) => a.name !== adapter.name);
+    this.adapters.push(adapter);
+  }
+
+  list() {
+    return [...this.adapters];
+  }
+
+  // Returns { adapter, input } with any explicit prefix removed, or null.
+  resolve(raw) {
+    const trimmed = String(raw || "").trim();
+    if (!trimmed) return null;
+
+    const prefixed = trimmed.match(/^([a-z0-9]+):(?!\/\/)(.*)$/i);
+    if (prefixed) {
+      const prefix = prefixed[1].toLowerCase();
+      const adapter = this.adapters.find((a) => (a.prefixes || []).includes(prefix));
+      if (adapter) return { adapter, input: prefixed[2].trim() };
+    }
+
+    const ordered = [
+      ...this.adapters.filter((a) => !a.fallback),
+      ...this.adapters.filter((a) => a.fallback),
+    ];
+    const adapter = ordered.find((a) => a.match?.(trimmed));
+    return adapter ? { adapter, input: trimmed } : null;
+  }
+}
+
+module.exports = {
+  AdapterRegistry,
+};
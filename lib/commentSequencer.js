@@ -0,0 +1,216 @@
+// Per-program reorder/dedupe stage for niconico comments. Several segment
+// streams (view segments, reconnect streamUrl, backward, snapshot) can deliver
+// the same comment, and not always in order. Comments are keyed on
+// threadId + no, held for a short jitter window and released once each in
+// comment-number order per thread.
+//
+// Because `no` increases monotonically per thread, a jump between released
+// comments is reported through onGap so the caller can try to re-fetch the
+// missing range. Late arrivals that fill a gap count as recovered.
+
+const DEFAULT_DELAY_MS = 600;
+const SEEN_LIMIT = 20000;
+const MAX_TRACKED_GAPS = 200;
+
+function threadOf(chat) {
+  return chat.threadId || chat.roomName || "";
+}
+
+function chatKey(chat) {
+  if (chat?.no == null) return null;
+  return `${threadOf(chat)}:${chat.no}`;
+}
+
+class CommentSequencer {
+  constructor({ delayMs = DEFAULT_DELAY_MS, onRelease, onGap } = {}) {
+    this.delayMs = delayMs;
+    this.onRelease = onRelease;
+    this.onGap = onGap;
+    this.gapStats = { recovered: 0, lost: 0 };
+    this.threads = new Map();
+    this.seen = new Set();
+    this.seenOrder = [];
+    this.timer = null;
+  }
+
+  thread(name) {
+    let state = this.threads.get(name);
+    if (!state) {
+      state = { buffer: [], lastNo: null, lastChat: null, gaps: [] };
+      this.threads.set(name, state);
+    }
+    return state;
+  }
+
+  // Records a comment as delivered without emitting it (used for backlog that
+  // is emitted elsewhere). Returns false when it was already delivered.
+  markSeen(chat) {
+    const key = chatKey(chat);
+    if (!key) return true;
+    if (this.seen.has(key)) return false;
+    this.remember(key);
+
+    const state = this.thread(threadOf(chat));
+    if (state.lastNo == null || chat.no > state.lastNo) {
+      state.lastNo = chat.no;
+      state.lastChat = chat;
+    }
+    return true;
+  }
+
+  remember(key) {
+    this.seen.add(key);
+    this.seenOrder.push(key);
+    if (this.seenOrder.length > SEEN_LIMIT) {
+      const drop = this.seenOrder.splice(0, this.seenOrder.length - SEEN_LIMIT);
+      for (const old of drop) this.seen.delete(old);
+    }
+  }
+
+  push(chat) {
+    const key = chatKey(chat);
+    if (!key) {
+      this.onRelease?.(chat);
+      return;
+    }
+    if (this.seen.has(key)) return;
+    this.remember(key);
+
+    const state = this.thread(threadOf(chat));
+
+    // Arrived after its neighbours were already released; deliver it now
+    // rather than dropping it.
+    if (state.lastNo != null && chat.no <= state.lastNo) {
+      if (this.fillGap(state, chat.no)) this.gapStats.recovered += 1;
+      this.onRelease?.(chat);
+      return;
+    }
+
+    const entry = { chat, arrivedAt: Date.now() };
+    const { buffer } = state;
+    let i = buffer.length;
+    while (i > 0 && buffer[i - 1].chat.no > chat.no) i -= 1;
+    buffer.splice(i, 0, entry);
+
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, Math.max(50, Math.floor(this.delayMs / 2)));
+  }
+
+  drain(force = false) {
+    const cutoff = Date.now() - this.delayMs;
+    let remaining = false;
+
+    for (const state of this.threads.values()) {
+      const { buffer } = state;
+
+      // Release everything up to the newest comment whose jitter window has
+      // passed; anything with a lower number has had at least as long.
+      let releaseUntil = -1;
+      for (let i = 0; i < buffer.length; i += 1) {
+        if (force || buffer[i].arrivedAt <= cutoff) releaseUntil = i;
+      }
+
+      if (releaseUntil >= 0) {
+        const released = buffer.splice(0, releaseUntil + 1);
+        for (const { chat } of released) {
+          if (state.lastNo != null && chat.no > state.lastNo + 1) {
+            this.openGap(state, chat);
+          }
+          state.lastNo = chat.no;
+          state.lastChat = chat;
+          this.onRelease?.(chat);
+        }
+      }
+
+      if (buffer.length) remaining = true;
+    }
+
+    if (remaining) this.schedule();
+  }
+
+  openGap(state, after) {
+    const gap = {
+      thread: threadOf(after),
+      from: state.lastNo + 1,
+      to: after.no - 1,
+      before: state.lastChat,
+      after,
+    };
+    state.gaps.push({ from: gap.from, to: gap.to });
+    if (state.gaps.length > MAX_TRACKED_GAPS) {
+      for (const old of state.gaps.splice(0, state.gaps.length - MAX_TRACKED_GAPS)) {
+        this.gapStats.lost += old.to - old.from + 1;
+      }
+    }
+    this.onGap?.(gap);
+  }
+
+  // Removes `no` from the tracked gaps of a thread. Returns true if it was missing.
+  fillGap(state, no) {
+    const index = state.gaps.findIndex((g) => no >= g.from && no <= g.to);
+    if (index === -1) return false;
+
+    const gap = state.gaps[index];
+    const parts = [];
+    if (gap.from <= no - 1) parts.push({ from: gap.from, to: no - 1 });
+    if (no + 1 <= gap.to) parts.push({ from: no + 1, to: gap.to });
+    state.gaps.splice(index, 1, ...parts);
+    return true;
+  }
+
+  isMissing(chat) {
+    if (chat?.no == null) return false;
+    const state = this.threads.get(threadOf(chat));
+    return Boolean(state?.gaps.some((g) => chat.no >= g.from && chat.no <= g.to));
+  }
+
+  // Gives up on whatever is still missing in [from, to] of a thread.
+  abandonGap(thread, from, to) {
+    const state = this.threads.get(thread);
+    if (!state) return 0;
+
+    let lost = 0;
+    const kept = [];
+    for (const gap of state.gaps) {
+      const start = Math.max(gap.from, from);
+      const end = Math.min(gap.to, to);
+      if (start > end) {
+        kept.push(gap);
+        continue;
+      }
+      lost += end - start + 1;
+      if (gap.from < start) kept.push({ from: gap.from, to: start - 1 });
+      if (end < gap.to) kept.push({ from: end + 1, to: gap.to });
+    }
+    state.gaps = kept;
+    this.gapStats.lost += lost;
+    return lost;
+  }
+
+  getGapStats() {
+    let pending = 0;
+    for (const state of this.threads.values()) {
+      for (const gap of state.gaps) pending += gap.to - gap.from + 1;
+    }
+    return { pending, ...this.gapStats };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.threads.clear();
+  }
+}
+
+module.exports = {
+  CommentSequencer,
+};
@@ -0,0 +1,325 @@
+// Headless chat aggregator. Owns every platform connection and reports what
+// happens through events so that the Electron window is just one consumer.
+//
+// Events:
+//   "status"      { global }                       global status line text
+//   "message"     normalized chat message, see ./message.js
+//   "connections" [{ id, label, type, mode, status, statistics, ended, playback, gaps,
+//                    canSend, canModerate, roomState }]
+//                 snapshot of connections; gaps = { pending, recovered, lost };
+//                 roomState = { slow, emoteOnly, followersOnly, subsOnly, uniqueChat }
+//                 (Twitch chat modes, null for platforms without them)
+//   "statistics"  { connectionId, watchCount, commentCount, receivedAt }
+//   "ended"       { connectionId, reason }          the broadcast itself finished
+//   "playback"    { connectionId, state, position, duration, speed, buffering }
+//                 timeshift playback state (positions in ms)
+//   "moderation"  { connectionId, platform, channel, action, messageId, userId, login,
+//                   duration, reason }
+//                 action: "delete" (messageId) | "timeout" | "ban" (userId/login)
+//                 | "clear" (whole connection)
+//   "emotes"      { connectionId, emotes: [{ code, url, provider, id }] }
+//                 third-party emotes usable in a connection (see ./emoteProviders)
+//   "badges"      { connectionId, badges: { [setId]: { [version]: { url, title } } } }
+//                 Twitch badge images for the connection (see ./twitchBadges)
+//   "audit"       { at, connectionId, label, action, messageId, userId, login, duration,
+//                   reason, ok, error }
+//                 a moderation action requested through moderate(), after it completed
+
+const { EventEmitter } = require("events");
+const { AdapterRegistry } = require("./adapterRegistry");
+const { fediverseAdapters } = require("./fediverse");
+const { ircAdapter } = require("./irc");
+const { niconicoAdapter } = require("./niconico");
+const { twitchAdapter } = require("./twitch");
+const { youtubeAdapter } = require("./youtube");
+const { tokenizeMessage } = require("./tokenizer");
+
+// Adapters that need a scheme or URL go first; niconico also takes bare lv
+// ids and Twitch takes anything that looks like a login.
+const BUILTIN_ADAPTERS = [
+  ircAdapter,
+  ...fediverseAdapters,
+  youtubeAdapter,
+  niconicoAdapter,
+  twitchAdapter,
+];
+
+class ConnectionManager extends EventEmitter {
+  // options:
+  //   twitchHistory  provider of recent Twitch chat lines loaded on join
+  //                  (see ./twitchHistory); Twitch connections start empty without one
+  //   emotes         EmoteRegistry for BTTV/FFZ/7TV emotes (see ./emoteProviders)
+  //   badges         BadgeRegistry for Twitch badge images (see ./twitchBadges)
+  //   youtubeBaseUrl origin used by the YouTube connector (default www.youtube.com)
+  //   adapters       extra platform adapters for connectAuto (see ./adapterRegistry)
+  constructor({
+    twitchHistory = null,
+    emotes = null,
+    badges = null,
+    youtubeBaseUrl = null,
+    adapters = [],
+  } = {}) {
+    super();
+    this.adapters = new AdapterRegistry();
+    for (const adapter of [...BUILTIN_ADAPTERS, ...adapters]) {
+      this.adapters.register(adapter);
+    }
+    this.youtubeBaseUrl = youtubeBaseUrl;
+    this.twitchHistory = twitchHistory;
+    this.emotes = emotes;
+    this.badges = badges;
+    this.connections = new Map();
+    this.identities = new Map();
+  }
+
+  // Account used by new connections of a platform:
+  //   setIdentity("twitch", { username, token })
+  //   setIdentity("niconico", { session })   user_session cookie
+  // Pass null to go anonymous.
+  setIdentity(platform, identity) {
+    if (identity) this.identities.set(platform, identity);
+    else this.identities.delete(platform);
+  }
+
+  getIdentity(platform) {
+    return this.identities.get(platform) || null;
+  }
+
+  setStatus(text) {
+    this.emit("status", { global: text });
+    console.log("[status]", text);
+  }
+
+  // Fragments are filled in here so they can use the connection's
+  // third-party emotes, unless the connector already built them.
+  emitMessage(message) {
+    if (!message.fragments) {
+      const conn = this.connections.get(message.connectionId);
+      message.fragments = tokenizeMessage(message, { extraEmotes: conn?.extraEmotes });
+    }
+    this.emit("message", message);
+  }
+
+  emitModeration(moderation) {
+    this.emit("moderation", moderation);
+  }
+
+  listConnections() {
+    return Array.from(this.connections.values()).map((conn) => ({
+      id: conn.id,
+      label: conn.label,
+      type: conn.type,
+      mode: conn.mode || "live",
+      status: conn.status,
+      statistics: conn.statistics || null,
+      ended: Boolean(conn.ended),
+      playback: conn.playbackState || null,
+      gaps: conn.gaps || null,
+      canSend: typeof conn.sendMessage === "function" && !conn.ended,
+      canModerate: typeof conn.moderate === "function" && !conn.ended,
+      roomState: conn.roomState || null,
+    }));
+  }
+
+  broadcastConnections() {
+    this.emit("connections", this.listConnections());
+  }
+
+  addConnection(connection) {
+    this.connections.set(connection.id, connection);
+    this.broadcastConnections();
+  }
+
+  // Adds { id, type, label, status, disconnect: null, ...rest } unless a
+  // connection with the same id is open. Returns the connection, or null
+  // after reporting the duplicate.
+  openConnection({ id, type, label, status, ...rest }) {
+    if (this.connections.has(id)) {
+      this.setStatus(`${label} は既に接続中です`);
+      return null;
+    }
+    const connection = { id, type, label, status, disconnect: null, ...rest };
+    this.addConnection(connection);
+    return connection;
+  }
+
+  updateConnectionStatus(id, status) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+    conn.status = status;
+    this.broadcastConnections();
+  }
+
+  // Ended connections stay listed (status "終了") until the consumer
+  // disconnects them, so the final state remains visible.
+  markConnectionEnded(id, reason) {
+    const conn = this.connections.get(id);
+    if (!conn || conn.ended) return;
+    conn.ended = true;
+    conn.status = "終了";
+    this.emit("ended", { connectionId: id, reason: reason || null });
+    this.broadcastConnections();
+  }
+
+  // Statistics change often, so they are emitted on their own instead of
+  // re-broadcasting the whole connection list.
+  updateConnectionStatistics(id, statistics) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+    conn.statistics = { ...conn.statistics, ...statistics, receivedAt: Date.now() };
+    this.emit("statistics", { connectionId: id, ...conn.statistics });
+  }
+
+  updateConnectionGaps(id, gaps) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+    const prev = conn.gaps;
+    if (
+      prev &&
+      prev.pending === gaps.pending &&
+      prev.recovered === gaps.recovered &&
+      prev.lost === gaps.lost
+    ) {
+      return;
+    }
+    conn.gaps = { ...gaps };
+    this.broadcastConnections();
+  }
+
+  // Merges partial chat mode updates; only re-broadcasts when something changed.
+  updateRoomState(id, state) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+    const next = { ...conn.roomState, ...state };
+    const prev = conn.roomState || {};
+    if (Object.keys(next).every((key) => prev[key] === next[key])) return;
+    conn.roomState = next;
+    this.broadcastConnections();
+  }
+
+  // Emote lists and badge sets are large, so like statistics they are not
+  // part of the connection list snapshot.
+  updateConnectionEmotes(id, emotes) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+    conn.extraEmotes = new Map(emotes.map((emote) => [emote.code, emote]));
+    this.emit("emotes", { connectionId: id, emotes });
+  }
+
+  updateConnectionBadges(id, badges) {
+    if (!this.connections.has(id)) return;
+    this.emit("badges", { connectionId: id, badges });
+  }
+
+  updatePlaybackState(id, state) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+    conn.playbackState = state;
+    this.emit("playback", { connectionId: id, ...state });
+  }
+
+  // command: { action: "play" | "pause" | "toggle" | "seek" | "speed", value }
+  controlPlayback(id, command) {
+    const conn = this.connections.get(id);
+    if (!conn?.playback) return false;
+    conn.playback.control(command);
+    return true;
+  }
+
+  // options are platform specific, e.g. niconico { anonymous, color, position, size }
+  async sendMessage(id, text, options = {}) {
+    const conn = this.connections.get(id);
+    if (!conn) throw new Error("接続が見つかりません");
+    if (typeof conn.sendMessage !== "function") {
+      throw new Error(`${conn.label} はコメント送信に対応していません (ログインが必要です)`);
+    }
+    await conn.sendMessage(text, options);
+  }
+
+  // command: { action: "delete" | "timeout" | "ban" | "unban", messageId, userId,
+  //            login, duration, reason }
+  // Every attempt, successful or not, is reported as an "audit" event.
+  async moderate(id, command = {}) {
+    const conn = this.connections.get(id);
+    const entry = {
+      at: Date.now(),
+      connectionId: id,
+      label: conn?.label || id,
+      action: command.action,
+      messageId: command.messageId || null,
+      userId: command.userId || null,
+      login: command.login || null,
+      duration: command.duration ?? null,
+      reason: command.reason || null,
+      ok: false,
+      error: null,
+    };
+
+    try {
+      if (!conn) throw new Error("接続が見つかりません");
+      if (typeof conn.moderate !== "function") {
+        throw new Error(`${conn.label} はモデレーション操作に対応していません (ログインが必要です)`);
+      }
+      await conn.moderate(command);
+      entry.ok = true;
+    } catch (e) {
+      entry.error = e?.message || String(e);
+      throw e;
+    } finally {
+      this.emit("audit", entry);
+    }
+  }
+
+  async disconnectConnection(id) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+
+    if (typeof conn.disconnect === "function") {
+      try {
+        await conn.disconnect();
+      } catch {}
+    }
+
+    this.connections.delete(id);
+    this.broadcastConnections();
+  }
+
+  async disconnectAll() {
+    const ids = Array.from(this.connections.keys());
+    for (const id of ids) {
+      await this.disconnectConnection(id);
+    }
+  }
+
+  registerAdapter(adapter) {
+    this.adapters.register(adapter);
+  }
+
+  async connectNiconico(input, options) {
+    await niconicoAdapter.connect(this, input, options);
+  }
+
+  async connectTwitch(input, options) {
+    await twitchAdapter.connect(this, input, options);
+  }
+
+  async connectYouTube(input, options) {
+    await youtubeAdapter.connect(this, input, options);
+  }
+
+  // Picks the platform from an explicit prefix ("tw:", "nico:", "yt:", ...)
+  // or from the input itself; Twitch takes whatever nothing else matched.
+  // options: { backfill } number of recent comments to load on join
+  async connectAuto(input, options = {}) {
+    const resolved = this.adapters.resolve(input);
+    if (!resolved) {
+      this.setStatus("チャンネル名、ニコ生URLまたはYouTube URLを入力してね");
+      return;
+    }
+    await resolved.adapter.connect(this, resolved.input, options);
+  }
+}
+
+module.exports = {
+  ConnectionManager,
+};
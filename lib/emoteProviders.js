@@ -0,0 +1,156 @@
+// Third-party Twitch emotes (BetterTTV, FrankerFaceZ, 7TV). Each provider
+// loads a global set and a per-channel set keyed by the Twitch channel
+// (room) id and maps them to
+//
+//   { code, url, provider, id }
+//
+// Base URLs are configurable so a local mock can stand in for the real APIs.
+// EmoteRegistry caches the results for every connection of the process.
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+
+async function getJson(url, signal) {
+  const response = await fetch(url, { signal });
+  // Channels without an account on the service answer 404.
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`${url} ${response.status}`);
+  return response.json();
+}
+
+function trimBase(url) {
+  return String(url).replace(/\/+$/, "");
+}
+
+function createBttvProvider({
+  apiUrl = "https://api.betterttv.net/3",
+  cdnUrl = "https://cdn.betterttv.net",
+} = {}) {
+  const api = trimBase(apiUrl);
+  const cdn = trimBase(cdnUrl);
+  const toEmote = (e) => ({
+    code: e.code,
+    url: `${cdn}/emote/${e.id}/1x`,
+    provider: "bttv",
+    id: e.id,
+  });
+
+  return {
+    name: "bttv",
+    async global(signal) {
+      const json = await getJson(`${api}/cached/emotes/global`, signal);
+      return (Array.isArray(json) ? json : []).map(toEmote);
+    },
+    async channel(channelId, signal) {
+      const json = await getJson(`${api}/cached/users/twitch/${channelId}`, signal);
+      return [...(json?.channelEmotes || []), ...(json?.sharedEmotes || [])].map(toEmote);
+    },
+  };
+}
+
+function createFfzProvider({ apiUrl = "https://api.frankerfacez.com/v1" } = {}) {
+  const api = trimBase(apiUrl);
+  const fromSets = (sets, ids) => {
+    const emotes = [];
+    for (const setId of ids) {
+      for (const e of sets?.[setId]?.emoticons || []) {
+        const url = e.urls?.["1"];
+        if (!url) continue;
+        emotes.push({
+          code: e.name,
+          url: url.startsWith("//") ? `https:${url}` : url,
+          provider: "ffz",
+          id: String(e.id),
+        });
+      }
+    }
+    return emotes;
+  };
+
+  return {
+    name: "ffz",
+    async global(signal) {
+      const json = await getJson(`${api}/set/global`, signal);
+      return fromSets(json?.sets, json?.default_sets || []);
+    },
+    async channel(channelId, signal) {
+      const json = await getJson(`${api}/room/id/${channelId}`, signal);
+      return fromSets(json?.sets, Object.keys(json?.sets || {}));
+    },
+  };
+}
+
+function createSevenTvProvider({ apiUrl = "https://7tv.io/v3" } = {}) {
+  const api = trimBase(apiUrl);
+  const toEmotes = (list) =>
+    (list || [])
+      .map((e) => {
+        const host = e.data?.host;
+        const file = host?.files?.find((f) => f.name?.startsWith("1x")) || host?.files?.[0];
+        if (!host?.url || !file) return null;
+        const base = host.url.startsWith("//") ? `https:${host.url}` : host.url;
+        return { code: e.name, url: `${base}/${file.name}`, provider: "7tv", id: e.id };
+      })
+      .filter(Boolean);
+
+  return {
+    name: "7tv",
+    async global(signal) {
+      const json = await getJson(`${api}/emote-sets/global`, signal);
+      return toEmotes(json?.emotes);
+    },
+    async channel(channelId, signal) {
+      const json = await getJson(`${api}/users/twitch/${channelId}`, signal);
+      return toEmotes(json?.emote_set?.emotes);
+    },
+  };
+}
+
+class EmoteRegistry {
+  constructor({ providers = [], ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.providers = providers;
+    this.ttlMs = ttlMs;
+    this.cache = new Map();
+  }
+
+  // Caches the promise so concurrent connections share one request; failures
+  // are logged and cached as empty until the TTL runs out.
+  cached(key, load) {
+    const hit = this.cache.get(key);
+    if (hit && Date.now() - hit.at < this.ttlMs) return hit.promise;
+
+    const promise = load().catch((e) => {
+      console.log("[emotes]", key, e?.message || e);
+      return [];
+    });
+    this.cache.set(key, { at: Date.now(), promise });
+    return promise;
+  }
+
+  // Global and channel emotes of every provider. Later entries win on
+  // duplicate codes: channel sets over global ones, then provider order.
+  async forChannel(channelId) {
+    const lists = await Promise.all(
+      this.providers.flatMap((provider) => [
+        this.cached(`${provider.name}:global`, () => provider.global()),
+        channelId
+          ? this.cached(`${provider.name}:${channelId}`, () => provider.channel(channelId))
+          : Promise.resolve([]),
+      ])
+    );
+
+    const globals = lists.filter((_, i) => i % 2 === 0).flat();
+    const channels = lists.filter((_, i) => i % 2 === 1).flat();
+    const byCode = new Map();
+    for (const emote of [...globals, ...channels]) {
+      if (emote?.code && emote.url) byCode.set(emote.code, emote);
+    }
+    return Array.from(byCode.values());
+  }
+}
+
+module.exports = {
+  EmoteRegistry,
+  createBttvProvider,
+  createFfzProvider,
+  createSevenTvProvider,
+};
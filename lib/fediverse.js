@@ -0,0 +1,377 @@
+// Hashtag timelines of Mastodon and Misskey instances, for events where the
+// audience posts on the fediverse instead of in a chat.
+//
+// Input: https://instance/tags/<tag>        auto detected; the software is read
+//                                           from the instance's nodeinfo
+//        mastodon:instance #tag             "don:" also works
+//        misskey:instance #tag              "mk:" also works
+//
+// Mastodon is followed through /api/v1/streaming (stream=hashtag), Misskey
+// through the "hashtag" channel of /streaming. The instance origin is taken
+// from the input as is, so http://localhost:port works for a local mock.
+// Posts with a content warning only show the warning.
+
+const WebSocket = require("ws");
+const { createChatMessage } = require("./message");
+const { tokenize } = require("./tokenizer");
+
+const REQUEST_TIMEOUT_MS = 10000;
+const RECONNECT_MIN_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+const SEEN_LIMIT = 500;
+const MISSKEY_CHANNEL_ID = "komebyu-hashtag";
+
+// nodeinfo software.name -> API family
+const SOFTWARE = {
+  mastodon: "mastodon",
+  pleroma: "mastodon",
+  akkoma: "mastodon",
+  hometown: "mastodon",
+  misskey: "misskey",
+  firefish: "misskey",
+  calckey: "misskey",
+  foundkey: "misskey",
+  sharkey: "misskey",
+  cherrypick: "misskey",
+};
+
+const PLATFORM_LABELS = { mastodon: "Mastodon", misskey: "Misskey" };
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// Returns { origin, tag } or null.
+function parseHashtagInput(raw) {
+  const trimmed = String(raw || "").trim();
+  if (!trimmed) return null;
+
+  let instance = null;
+  let tag = null;
+  const spaced = trimmed.match(/^(\S+?)\/?\s*#([^\s#/]+)$/);
+  if (spaced) {
+    [, instance, tag] = spaced;
+  } else {
+    const path = trimmed.match(/^(\S+?)\/tags\/([^\s/?#]+)/);
+    if (!path) return null;
+    [, instance, tag] = path;
+  }
+
+  try {
+    const url = new URL(/^https?:\/\//i.test(instance) ? instance : `https://${instance}`);
+    return { origin: url.origin, tag: decodeURIComponent(tag).replace(/^#/, "") };
+  } catch {
+    return null;
+  }
+}
+
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*<p[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === "#") {
+        const hex = name[1].toLowerCase() === "x";
+        const code = hex ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+        return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .trim();
+}
+
+async function requestJson(url, { method = "GET", body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`${url} ${response.status}`);
+  return response.json();
+}
+
+async function detectSoftware(origin) {
+  const index = await requestJson(`${origin}/.well-known/nodeinfo`);
+  const href = index?.links?.[index.links.length - 1]?.href;
+  if (!href) return null;
+  const info = await requestJson(href);
+  return SOFTWARE[String(info?.software?.name || "").toLowerCase()] || null;
+}
+
+function wsOrigin(origin) {
+  return origin.replace(/^http/i, "ws");
+}
+
+// Both APIs are mapped to
+//   { id, createdAt, text, url, user: { id, acct, name, avatar }, emojis: Map(code -> url) }
+// Boosts/renotes without text of their own are skipped.
+function fromMastodonStatus(status) {
+  if (!status?.id || status.reblog) return null;
+  const account = status.account || {};
+  return {
+    id: String(status.id),
+    createdAt: Date.parse(status.created_at),
+    text: status.spoiler_text ? `[CW] ${status.spoiler_text}` : htmlToText(status.content),
+    url: status.url || status.uri || null,
+    user: {
+      id: account.id ? String(account.id) : null,
+      acct: account.acct || account.username || null,
+      name: account.display_name || account.username || null,
+      avatar: account.avatar_static || account.avatar || null,
+    },
+    emojis: new Map((status.emojis || []).map((e) => [`:${e.shortcode}:`, e.static_url || e.url])),
+  };
+}
+
+function fromMisskeyNote(note, origin) {
+  if (!note?.id || (note.renoteId && !note.text)) return null;
+  const user = note.user || {};
+  const text = note.cw != null ? `[CW] ${note.cw}` : String(note.text || "");
+
+  // Older versions list the note's emojis; newer ones serve local custom
+  // emojis by name from /emoji/.
+  let emojis;
+  if (Array.isArray(note.emojis)) {
+    emojis = new Map(note.emojis.map((e) => [`:${e.name}:`, e.url]));
+  } else if (note.emojis && typeof note.emojis === "object") {
+    emojis = new Map(Object.entries(note.emojis).map(([name, url]) => [`:${name}:`, url]));
+  } else {
+    const names = text.match(/:[\w+-]+:/g) || [];
+    emojis = new Map(names.map((code) => [code, `${origin}/emoji/${code.slice(1, -1)}.webp`]));
+  }
+
+  return {
+    id: String(note.id),
+    createdAt: Date.parse(note.createdAt),
+    text,
+    url: note.url || note.uri || `${origin}/notes/${note.id}`,
+    user: {
+      id: user.id ? String(user.id) : null,
+      acct: user.username ? (user.host ? `${user.username}@${user.host}` : user.username) : null,
+      name: user.name || user.username || null,
+      avatar: user.avatarUrl || null,
+    },
+    emojis,
+  };
+}
+
+// options: { backfill } number of recent posts to load on connect;
+//          { software } "mastodon" | "misskey", detected when missing
+async function connectFediverse(manager, input, options = {}) {
+  const target = parseHashtagInput(input);
+  if (!target) {
+    manager.setStatus(
+      "インスタンスとハッシュタグ（例: mastodon:mastodon.social #komebyu / misskey:misskey.io #komebyu）を入力してね"
+    );
+    return;
+  }
+
+  const { origin, tag } = target;
+  const host = new URL(origin).host;
+
+  let software = options.software || null;
+  if (!software) {
+    try {
+      software = await detectSoftware(origin);
+    } catch (e) {
+      console.log("[fediverse] nodeinfo", origin, e?.message || e);
+    }
+    if (!software) {
+      manager.setStatus(`${host} の種類が分かりません (mastodon: か misskey: を付けてね)`);
+      return;
+    }
+  }
+
+  const platformLabel = PLATFORM_LABELS[software];
+  const id = `${software}:${host}#${tag.toLowerCase()}`;
+  const connection = manager.openConnection({
+    id,
+    type: software,
+    label: `${platformLabel} #${tag} (${host})`,
+    status: `${platformLabel}に接続中…`,
+  });
+  if (!connection) return;
+
+  const connectedStatus = `接続中: ${platformLabel} #${tag}`;
+  let socket = null;
+  let closed = false;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let reconnectTimer = null;
+  const seen = new Set();
+
+  const emitPost = (post, history = false) => {
+    if (!post || seen.has(post.id)) return;
+    seen.add(post.id);
+    if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+
+    const chat = createChatMessage({
+      platform: software,
+      connectionId: id,
+      channel: `#${tag}`,
+      source: connection.label,
+      platformId: post.id,
+      sentAt: post.createdAt,
+      user: { id: post.user.id, login: post.user.acct, displayName: post.user.name },
+      text: post.text,
+      history,
+      extensions: {
+        [software]: { avatar: post.user.avatar, url: post.url, instance: host },
+      },
+    });
+    const extraEmotes = new Map(
+      Array.from(post.emojis, ([code, url]) => [code, { id: code, url, provider: software }])
+    );
+    chat.fragments = tokenize(post.text, { extraEmotes });
+    manager.emitMessage(chat);
+  };
+
+  const loadBackfill = async () => {
+    const limit = Math.min(Math.max(0, Math.floor(Number(options.backfill) || 0)), 40);
+    if (!limit) return;
+    try {
+      const posts =
+        software === "mastodon"
+          ? (await requestJson(
+              `${origin}/api/v1/timelines/tag/${encodeURIComponent(tag)}?limit=${limit}`
+            )).map(fromMastodonStatus)
+          : (await requestJson(`${origin}/api/notes/search-by-tag`, {
+              method: "POST",
+              body: { tag, limit },
+            })).map((note) => fromMisskeyNote(note, origin));
+      if (closed) return;
+      // Both answer newest first.
+      for (const post of posts.reverse()) emitPost(post, true);
+    } catch (e) {
+      console.log("[fediverse] backfill", origin, e?.message || e);
+    }
+  };
+
+  const streamingUrl = async () => {
+    if (software === "misskey") return `${wsOrigin(origin)}/streaming`;
+    let base = wsOrigin(origin);
+    try {
+      const instance = await requestJson(`${origin}/api/v1/instance`);
+      if (instance?.urls?.streaming_api) base = instance.urls.streaming_api;
+    } catch {}
+    const query = new URLSearchParams({ stream: "hashtag", tag });
+    return `${base.replace(/\/+$/, "")}/api/v1/streaming?${query}`;
+  };
+
+  const handleMastodon = (data) => {
+    if (data.event === "update") {
+      emitPost(fromMastodonStatus(JSON.parse(data.payload)));
+    } else if (data.event === "delete") {
+      manager.emitModeration({
+        connectionId: id,
+        platform: software,
+        channel: `#${tag}`,
+        action: "delete",
+        messageId: `${id}:${data.payload}`,
+      });
+    }
+  };
+
+  const handleMisskey = (data) => {
+    if (data.type !== "channel" || data.body?.id !== MISSKEY_CHANNEL_ID) return;
+    if (data.body.type === "note") emitPost(fromMisskeyNote(data.body.body, origin));
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    const delay = reconnectDelay;
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+    manager.updateConnectionStatus(id, `再接続待ち… (${Math.round(delay / 1000)}秒)`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, delay);
+  };
+
+  const open = async () => {
+    const url = await streamingUrl();
+    if (closed) return;
+
+    let current;
+    try {
+      current = new WebSocket(url);
+    } catch (e) {
+      manager.updateConnectionStatus(id, `接続エラー: ${e?.message || String(e)}`);
+      scheduleReconnect();
+      return;
+    }
+    socket = current;
+
+    current.on("open", () => {
+      reconnectDelay = RECONNECT_MIN_MS;
+      if (software === "misskey") {
+        current.send(
+          JSON.stringify({
+            type: "connect",
+            body: { channel: "hashtag", id: MISSKEY_CHANNEL_ID, params: { q: [[tag]] } },
+          })
+        );
+      }
+      manager.updateConnectionStatus(id, connectedStatus);
+    });
+    current.on("message", (raw) => {
+      try {
+        const data = JSON.parse(String(raw));
+        if (software === "mastodon") handleMastodon(data);
+        else handleMisskey(data);
+      } catch (e) {
+        console.log("[fediverse]", host, e?.message || e);
+      }
+    });
+    current.on("error", (e) => {
+      console.log("[fediverse]", host, e?.message || e);
+    });
+    current.on("close", () => {
+      if (socket !== current) return;
+      socket = null;
+      scheduleReconnect();
+    });
+  };
+
+  connection.disconnect = async () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (socket) {
+      try {
+        socket.close();
+      } catch {}
+      socket = null;
+    }
+  };
+
+  // The stream opens first so nothing posted while the backfill loads is
+  // missed; a post that arrives both ways is dropped by id in emitPost.
+  await open();
+  if (!closed) await loadBackfill();
+}
+
+const fediverseAdapters = [
+  {
+    name: "fediverse",
+    prefixes: ["fedi"],
+    match: (input) => /^https?:\/\/[^/\s]+\/tags\/[^/\s]+/i.test(String(input || "").trim()),
+    connect: connectFediverse,
+  },
+  {
+    name: "mastodon",
+    prefixes: ["mastodon", "don"],
+    connect: (manager, input, options) =>
+      connectFediverse(manager, input, { ...options, software: "mastodon" }),
+  },
+  {
+    name: "misskey",
+    prefixes: ["misskey", "mk"],
+    connect: (manager, input, options) =>
+      connectFediverse(manager, input, { ...options, software: "misskey" }),
+  },
+];
+
+module.exports = {
+  parseHashtagInput,
+  connectFediverse,
+  fediverseAdapters,
+};
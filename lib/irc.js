@@ -0,0 +1,414 @@
+// Plain IRC (RFC 1459 / IRCv3) connector for self-hosted community servers.
+//
+// Input: irc://[nick[:password]@]host[:port]/#chan1,#chan2
+//        ircs://...                  TLS (default port 6697)
+//        irc:host:+6697/#chan        "+port" also means TLS
+// A password makes the connector log in with SASL PLAIN, using the nick as
+// the account name. Servers without SASL are joined unauthenticated, and the
+// connection status says so.
+//
+// One connection covers every channel of the input. PRIVMSG (and CTCP
+// ACTION) become "chat" messages; NOTICE, JOIN and PART become the "notice",
+// "join" and "part" events (see ./message.js).
+
+const net = require("net");
+const tls = require("tls");
+const { createChatMessage } = require("./message");
+
+const DEFAULT_PORT = 6667;
+const DEFAULT_TLS_PORT = 6697;
+const RECONNECT_MIN_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+const IDLE_PING_MS = 120000;
+const IDLE_TIMEOUT_MS = 240000;
+const SASL_CHUNK = 400;
+const WANTED_CAPS = ["server-time", "message-tags", "echo-message"];
+
+const SASL_NOTES = {
+  failed: "SASL認証失敗で未ログイン",
+  unsupported: "SASL非対応で未ログイン",
+};
+
+const CHANNEL_PREFIX = /^[#&+!]/;
+const TAG_ESCAPES = { s: " ", ":": ";", r: "\r", n: "\n" };
+// mIRC bold/color/reset/reverse/italic/strike/underline codes.
+const FORMATTING = /\x03(\d{1,2}(,\d{1,2})?)?|[\x02\x0f\x16\x1d\x1e\x1f]/g;
+
+function parseIrcInput(raw) {
+  const trimmed = String(raw || "").trim();
+  const match = trimmed.match(
+    /^(?:(ircs?):\/\/)?(?:([^:@/\s]+)(?::([^@/\s]*))?@)?([\w.-]+)(?::(\+?)(\d+))?\/([^\s]+)$/i
+  );
+  if (!match) return null;
+
+  const [, scheme, nick, password, host, plus, port, path] = match;
+  const useTls = scheme?.toLowerCase() === "ircs" || plus === "+";
+  const channels = [
+    ...new Set(
+      path
+        .split(",")
+        .map((c) => decodeURIComponent(c.trim()))
+        .filter(Boolean)
+        .map((c) => (CHANNEL_PREFIX.test(c) ? c : `#${c}`).toLowerCase())
+    ),
+  ];
+  if (!channels.length) return null;
+
+  return {
+    host: host.toLowerCase(),
+    port: port ? Number(port) : useTls ? DEFAULT_TLS_PORT : DEFAULT_PORT,
+    tls: useTls,
+    nick: nick ? decodeURIComponent(nick) : null,
+    password: password ? decodeURIComponent(password) : null,
+    channels,
+  };
+}
+
+// "@tags :prefix COMMAND param param :trailing"
+function parseLine(line) {
+  let rest = line;
+  const tags = {};
+  if (rest.startsWith("@")) {
+    const end = rest.indexOf(" ");
+    for (const pair of rest.slice(1, end).split(";")) {
+      const eq = pair.indexOf("=");
+      const key = eq < 0 ? pair : pair.slice(0, eq);
+      const value = eq < 0 ? "" : pair.slice(eq + 1);
+      tags[key] = value.replace(/\\(.)/g, (_, c) => TAG_ESCAPES[c] ?? c);
+    }
+    rest = rest.slice(end + 1).trimStart();
+  }
+
+  let prefix = null;
+  if (rest.startsWith(":")) {
+    const end = rest.indexOf(" ");
+    prefix = rest.slice(1, end);
+    rest = rest.slice(end + 1).trimStart();
+  }
+
+  const params = [];
+  while (rest) {
+    if (rest.startsWith(":")) {
+      params.push(rest.slice(1));
+      break;
+    }
+    const end = rest.indexOf(" ");
+    if (end < 0) {
+      params.push(rest);
+      break;
+    }
+    params.push(rest.slice(0, end));
+    rest = rest.slice(end + 1).trimStart();
+  }
+
+  const command = (params.shift() || "").toUpperCase();
+  const bang = prefix ? prefix.indexOf("!") : -1;
+  return {
+    tags,
+    prefix,
+    nick: bang >= 0 ? prefix.slice(0, bang) : null,
+    command,
+    params,
+  };
+}
+
+function defaultNick() {
+  return `komebyu${Math.floor(1000 + Math.random() * 9000)}`;
+}
+
+async function connectIrc(manager, input, options = {}) {
+  const target = parseIrcInput(input);
+  if (!target) {
+    manager.setStatus("IRCは irc://サーバー/#チャンネル の形で入力してね");
+    return;
+  }
+
+  const { host, port, channels, password } = target;
+  const wantedNick = target.nick || defaultNick();
+  const id = `irc:${host}:${port}/${channels.join(",")}`;
+
+  const connection = manager.openConnection({
+    id,
+    type: "irc",
+    label: `IRC ${host} ${channels.join(" ")}`,
+    status: "IRCに接続中…",
+  });
+  if (!connection) return;
+
+  let socket = null;
+  let closed = false;
+  let registered = false;
+  let nick = wantedNick;
+  let caps = new Set();
+  let offered = [];
+  // SASL outcome of the current socket: null (no password), "pending", "ok",
+  // "failed" or "unsupported".
+  let sasl = null;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let reconnectTimer = null;
+  let idleTimer = null;
+  let lastActivity = Date.now();
+
+  const send = (line) => {
+    if (socket && !socket.destroyed) socket.write(`${line.replace(/[\r\n]/g, " ")}\r\n`);
+  };
+
+  const emit = (parsed, { type = "chat", event = null, text, channel, action = false }) => {
+    manager.emitMessage(
+      createChatMessage({
+        type,
+        event,
+        platform: "irc",
+        connectionId: id,
+        channel,
+        source: connection.label,
+        platformId: parsed.tags.msgid || null,
+        sentAt: parsed.tags.time ? Date.parse(parsed.tags.time) : null,
+        user: {
+          id: null,
+          login: parsed.nick ? parsed.nick.toLowerCase() : null,
+          displayName: parsed.nick || parsed.prefix,
+        },
+        text: String(text ?? "").replace(FORMATTING, ""),
+        extensions: {
+          irc: {
+            prefix: parsed.prefix,
+            action,
+            self: parsed.nick?.toLowerCase() === nick.toLowerCase(),
+            tags: parsed.tags,
+          },
+        },
+      })
+    );
+  };
+
+  // CTCP ACTION ("/me") is chat; other CTCP requests are not shown.
+  const handlePrivmsg = (parsed) => {
+    const [to = "", text = ""] = parsed.params;
+    const channel = to.toLowerCase();
+    if (!channels.includes(channel)) return;
+    const ctcp = text.match(/^\x01(\w+) ?(.*?)\x01?$/);
+    if (ctcp && ctcp[1].toUpperCase() !== "ACTION") return;
+    emit(parsed, { text: ctcp ? ctcp[2] : text, channel, action: Boolean(ctcp) });
+  };
+
+  const requestCaps = () => {
+    const wanted = WANTED_CAPS.filter((cap) => offered.includes(cap));
+    if (password && offered.includes("sasl")) wanted.push("sasl");
+    else if (password) sasl = "unsupported";
+    if (wanted.length) send(`CAP REQ :${wanted.join(" ")}`);
+    else send("CAP END");
+  };
+
+  const authenticate = () => {
+    const account = wantedNick;
+    const payload = Buffer.from(`${account}\0${account}\0${password}`).toString("base64");
+    for (let i = 0; i < payload.length; i += SASL_CHUNK) {
+      send(`AUTHENTICATE ${payload.slice(i, i + SASL_CHUNK)}`);
+    }
+    if (payload.length % SASL_CHUNK === 0) send("AUTHENTICATE +");
+  };
+
+  const handleCap = (parsed) => {
+    const [, sub, ...rest] = parsed.params;
+    const list = (rest[rest.length - 1] || "").split(" ").filter(Boolean);
+    switch ((sub || "").toUpperCase()) {
+      case "LS": {
+        offered.push(...list.map((cap) => cap.split("=")[0]));
+        // "CAP * LS * :..." means more lines follow.
+        if (rest[0] !== "*") requestCaps();
+        return;
+      }
+      case "ACK":
+        for (const cap of list) caps.add(cap);
+        if (caps.has("sasl") && !registered) send("AUTHENTICATE PLAIN");
+        else send("CAP END");
+        return;
+      case "NAK":
+        send("CAP END");
+        return;
+      default:
+    }
+  };
+
+  const handleLine = (line) => {
+    if (!line) return;
+    const parsed = parseLine(line);
+    const [first] = parsed.params;
+
+    switch (parsed.command) {
+      case "PING":
+        send(`PONG :${first || ""}`);
+        return;
+      case "CAP":
+        handleCap(parsed);
+        return;
+      case "AUTHENTICATE":
+        if (first === "+") authenticate();
+        return;
+      case "903":
+        sasl = "ok";
+        send("CAP END");
+        return;
+      case "902":
+      case "904":
+      case "905":
+      case "906":
+        sasl = "failed";
+        send("CAP END");
+        return;
+      case "001": {
+        registered = true;
+        nick = first || nick;
+        reconnectDelay = RECONNECT_MIN_MS;
+        send(`JOIN ${channels.join(",")}`);
+        // Servers without CAP register straight away.
+        if (sasl === "pending") sasl = "unsupported";
+        const auth = SASL_NOTES[sasl] ? `, ${SASL_NOTES[sasl]}` : "";
+        manager.updateConnectionStatus(id, `接続中: ${host} (${nick}${auth})`);
+        manager.setStatus(`IRC ${host} に接続しました`);
+        return;
+      }
+      case "433":
+        // Nick in use before registration: retry with an underscore.
+        if (!registered) {
+          nick = `${nick}_`;
+          send(`NICK ${nick}`);
+        }
+        return;
+      case "PRIVMSG":
+        handlePrivmsg(parsed);
+        return;
+      case "NOTICE": {
+        // Server notices (no nick!user@host prefix) are not chat.
+        if (!parsed.nick) return;
+        const to = String(first || "").toLowerCase();
+        emit(parsed, {
+          type: "notice",
+          text: parsed.params[1],
+          channel: channels.includes(to) ? to : null,
+        });
+        return;
+      }
+      case "JOIN":
+      case "PART": {
+        const channel = String(first || "").toLowerCase();
+        if (!channels.includes(channel)) return;
+        if (parsed.nick?.toLowerCase() === nick.toLowerCase()) return;
+        emit(parsed, {
+          type: parsed.command.toLowerCase(),
+          event: parsed.command === "PART" ? { reason: parsed.params[1] || null } : null,
+          text: "",
+          channel,
+        });
+        return;
+      }
+      case "ERROR":
+        manager.updateConnectionStatus(id, `切断: ${first || "ERROR"}`);
+        return;
+      default:
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    const delay = reconnectDelay;
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+    manager.updateConnectionStatus(id, `再接続待ち… (${Math.round(delay / 1000)}秒)`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, delay);
+  };
+
+  const open = () => {
+    registered = false;
+    nick = wantedNick;
+    caps = new Set();
+    offered = [];
+    sasl = password ? "pending" : null;
+    lastActivity = Date.now();
+    manager.updateConnectionStatus(id, "IRCに接続中…");
+
+    const onConnect = () => {
+      send("CAP LS 302");
+      send(`NICK ${nick}`);
+      send(`USER ${nick} 0 * :komebyu`);
+    };
+    const current = target.tls
+      ? tls.connect({ host, port, servername: host }, onConnect)
+      : net.connect({ host, port }, onConnect);
+    socket = current;
+    current.setEncoding("utf8");
+
+    let buffer = "";
+    current.on("data", (chunk) => {
+      lastActivity = Date.now();
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        try {
+          handleLine(line);
+        } catch (e) {
+          console.log("[irc]", host, e?.message || e);
+        }
+      }
+    });
+    current.on("error", (e) => {
+      console.log("[irc]", host, e?.message || e);
+      manager.updateConnectionStatus(id, `接続エラー: ${e?.message || String(e)}`);
+    });
+    current.on("close", () => {
+      if (socket !== current) return;
+      socket = null;
+      scheduleReconnect();
+    });
+  };
+
+  idleTimer = setInterval(() => {
+    if (!socket) return;
+    const idle = Date.now() - lastActivity;
+    if (idle > IDLE_TIMEOUT_MS) socket.destroy();
+    else if (idle > IDLE_PING_MS) send(`PING :${host}`);
+  }, IDLE_PING_MS / 4);
+
+  // Only a single-channel connection knows where the composer's text goes.
+  if (channels.length === 1) {
+    connection.sendMessage = async (text) => {
+      const body = String(text || "").trim();
+      if (!body) return;
+      if (!registered) throw new Error("IRCに未接続です");
+      send(`PRIVMSG ${channels[0]} :${body}`);
+      if (!caps.has("echo-message")) {
+        handlePrivmsg(parseLine(`:${nick}!local PRIVMSG ${channels[0]} :${body}`));
+      }
+    };
+  }
+
+  connection.disconnect = async () => {
+    closed = true;
+    clearInterval(idleTimer);
+    clearTimeout(reconnectTimer);
+    if (socket) {
+      send("QUIT :bye");
+      socket.end();
+      socket = null;
+    }
+  };
+
+  open();
+}
+
+const ircAdapter = {
+  name: "irc",
+  prefixes: ["irc"],
+  match: (input) => /^ircs?:\/\//i.test(String(input || "").trim()),
+  connect: connectIrc,
+};
+
+module.exports = {
+  parseIrcInput,
+  connectIrc,
+  ircAdapter,
+};
@@ -0,0 +1,117 @@
+// Normalized chat message schema shared by every platform connector.
+//
+// Every "message" event emitted by ConnectionManager has this shape:
+//
+//   {
+//     schemaVersion: 1,
+//     id,            stable id, unique across platforms ("<connectionId>:<platform id>")
+//     type,          "chat" or an event type (see below)
+//     platform,      "twitch" | "niconico" | "youtube" | "irc" | "mastodon" | "misskey"
+//     connectionId,  id of the connection that received it
+//     channel,       Twitch channel login / niconico lv id / YouTube video id /
+//                    IRC channel (null for notices sent to komebyu itself) /
+//                    "#hashtag" of a fediverse timeline
+//     source,        human readable connection label
+//     receivedAt,    ms epoch when komebyu received it
+//     sentAt,        ms epoch reported by the platform, or null
+//     user: {
+//       id,          platform user id, or null
+//       login,       account name (Twitch login), or null
+//       displayName, name to show, or null
+//     },
+//     text,
+//     badges,        { [badge]: version } (empty when the platform has none)
+//     emotes,        Twitch style { [emoteId]: ["start-end", ...] } or null
+//                    (offsets count code points)
+//     fragments,     text split into text/emote/url/mention/cheermote pieces,
+//                    see ./tokenizer.js (added by ConnectionManager.emitMessage)
+//     event,         null for "chat", otherwise event details (see below)
+//     reply,         null, or the message this one replies to:
+//                    { messageId, userId, login, displayName, text }
+//     history,       true for backlog fetched on join rather than received live
+//     extensions: {  platform specific fields, keyed by platform
+//       twitch:   { color, userType, messageType, roomId, firstMessage, self, tags }
+//       niconico: { no, vpos, mail, anonymous, roomName, threadId }
+//       youtube:  { authorPhoto }
+//       irc:      { prefix, action, self, tags }  action: sent with /me
+//       mastodon / misskey: { avatar, url, instance }
+//     },
+//   }
+//
+// Event types and their `event` block (text holds the user's attached message,
+// if any; event.systemText is the platform's own description):
+//   subscription   { tier, planName, months, systemText }
+//   resub          { tier, planName, months, streakMonths, systemText }
+//   subgift        { tier, recipient, recipientId, giftMonths, anonymous, systemText }
+//   submysterygift { tier, count, senderTotal, anonymous, systemText }
+//   subupgrade     { from: "gift" | "anongift" | "prime", sender, tier, systemText }
+//   raid           { viewers, systemText }
+//   cheer          { bits }
+//   announcement   { color, systemText }
+//   superchat      { amountText, color }                 YouTube Super Chat
+//   supersticker   { amountText, color, stickerUrl }     YouTube Super Sticker
+//   membership     { months, systemText }                new member or milestone
+//   membershipgift { count, systemText }
+//   notice         null                                  IRC NOTICE, text holds it
+//   join           null                                  IRC JOIN
+//   part           { reason }                            IRC PART
+// tier is 1, 2, 3 or "prime"; amountText is the formatted amount ("¥1,000").
+//
+// Bump MESSAGE_SCHEMA_VERSION whenever a field is removed or changes meaning.
+// Adding fields is not a breaking change.
+
+const MESSAGE_SCHEMA_VERSION = 1;
+
+let fallbackSeq = 0;
+
+function createChatMessage({
+  type = "chat",
+  event = null,
+  platform,
+  connectionId,
+  channel,
+  source,
+  platformId,
+  sentAt = null,
+  user = {},
+  text,
+  badges,
+  emotes,
+  extensions = {},
+  history = false,
+  reply = null,
+}) {
+  const receivedAt = Date.now();
+  const localId = platformId != null && platformId !== ""
+    ? String(platformId)
+    : `local-${receivedAt}-${(fallbackSeq += 1)}`;
+
+  return {
+    schemaVersion: MESSAGE_SCHEMA_VERSION,
+    id: `${connectionId}:${localId}`,
+    type,
+    platform,
+    connectionId,
+    channel,
+    source,
+    receivedAt,
+    sentAt: Number.isFinite(sentAt) ? sentAt : null,
+    user: {
+      id: user.id ?? null,
+      login: user.login ?? null,
+      displayName: user.displayName ?? null,
+    },
+    text: String(text ?? ""),
+    badges: badges || {},
+    emotes: emotes || null,
+    event,
+    reply,
+    history: Boolean(history),
+    extensions,
+  };
+}
+
+module.exports = {
+  MESSAGE_SCHEMA_VERSION,
+  createChatMessage,
+};
@@ -0,0 +1,288 @@
+// Low level helpers for reading NDGR (niconico comment server) streams.
+// view/v4 and segment/backward/snapshot responses are varint length-prefixed
+// protobuf frames; these helpers split and decode them.
+
+const {
+  decodeChunkedMessage,
+  decodeChunkedMessageLoose,
+} = require("../proto/nicolive");
+
+const NDGR_USER_AGENT = "komebyu/1.0 (+https://github.com/)";
+
+const NICO_DEBUG = process.env.NICO_DEBUG !== "false";
+
+function logNico(...args) {
+  if (!NICO_DEBUG) return;
+  console.log("[nico]", ...args);
+}
+
+function extractSegmentUrlFromPayload(payload) {
+  if (!payload?.length) return null;
+
+  try {
+    const text = Buffer.from(payload).toString("utf8");
+    const marker = "/data/segment/v4/";
+    const index = text.indexOf(marker);
+    if (index === -1) return null;
+
+    let start = index;
+    while (start > 0) {
+      const char = text[start - 1];
+      if (/\s|"|'|\u0000/.test(char)) break;
+      start -= 1;
+    }
+
+    let end = index + marker.length;
+    while (end < text.length) {
+      const char = text[end];
+      if (/\s|"|'|\u0000/.test(char)) break;
+      end += 1;
+    }
+
+    const candidate = text.slice(start, end);
+    if (/^https?:\/\//i.test(candidate)) return candidate;
+  } catch {}
+
+  return null;
+}
+
+function readVarint(buf, offset = 0) {
+  let val = 0n;
+  let shift = 0n;
+  let pos = offset;
+  while (pos < buf.length) {
+    const b = BigInt(buf[pos]);
+    val |= (b & 0x7fn) << shift;
+    pos += 1;
+    if ((b & 0x80n) === 0n) {
+      const num = Number(val);
+      return {
+        value: Number.isSafeInteger(num) ? num : val,
+        length: pos - offset,
+      };
+    }
+    shift += 7n;
+  }
+  return null;
+}
+
+function safeUtf8(buffer) {
+  try {
+    const text = buffer.toString("utf8");
+    if (Buffer.from(text, "utf8").equals(buffer)) return text;
+  } catch {}
+  return null;
+}
+
+function normalizeAtSeconds(at) {
+  if (at == null) return null;
+  if (at === "now") return "now";
+  try {
+    const raw = BigInt(at);
+    const isMillis = raw >= 1_000_000_000_000n;
+    const seconds = isMillis ? raw / 1000n : raw;
+    const displayMillis = seconds <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(seconds) * 1000
+      : null;
+
+    if (displayMillis != null) {
+      logNico(
+        "normalizeAtSeconds",
+        `${at} -> ${seconds.toString()} (${new Date(displayMillis).toISOString()})`
+      );
+    } else {
+      logNico("normalizeAtSeconds", `${at} -> ${seconds.toString()}`);
+    }
+
+    return seconds.toString();
+  } catch {
+    return String(at);
+  }
+}
+
+function parseAtValue(at) {
+  if (at == null || at === "now") return null;
+  try {
+    return BigInt(at);
+  } catch {
+    return null;
+  }
+}
+
+function shouldAdvanceAt(currentAt, candidateAt) {
+  const current = parseAtValue(currentAt);
+  const candidate = parseAtValue(candidateAt);
+
+  if (candidate == null) return current == null;
+  if (current == null) return true;
+  return candidate > current;
+}
+
+function createChunkProcessor(label, onPayload) {
+  let buffer = Buffer.alloc(0);
+
+  return (value) => {
+    if (value && value.length) buffer = Buffer.concat([buffer, Buffer.from(value)]);
+
+    while (buffer.length) {
+      const lengthInfo = readVarint(buffer, 0);
+      if (!lengthInfo) break;
+
+      const headerLen = lengthInfo.length;
+      const msgLen = Number(lengthInfo.value);
+
+      if (!Number.isFinite(msgLen) || msgLen < 0) {
+        logNico(`invalid ${label} frame length`, msgLen);
+        buffer = Buffer.alloc(0);
+        break;
+      }
+
+      const totalLength = headerLen + msgLen;
+      if (buffer.length < totalLength) break;
+
+      const payload = buffer.slice(headerLen, totalLength);
+      const rawChunk = buffer.slice(0, totalLength);
+      buffer = buffer.slice(totalLength);
+
+      onPayload({ payload, rawChunk, payloadLength: msgLen, varintLength: headerLen });
+    }
+  };
+}
+
+function ensureAtParam(uri, atValue) {
+  try {
+    const url = new URL(uri);
+    url.searchParams.set("at", atValue);
+    return url.toString();
+  } catch {
+    const joiner = uri.includes("?") ? "&" : "?";
+    return `${uri}${joiner}at=${encodeURIComponent(atValue)}`;
+  }
+}
+
+function ensureCursorOrAtParam(uri, { cursor, at } = {}) {
+  try {
+    const url = new URL(uri);
+    if (cursor) {
+      url.searchParams.set("cursor", cursor);
+    } else if (at) {
+      url.searchParams.set("at", at);
+    }
+    return url.toString();
+  } catch {
+    const joiner = uri.includes("?") ? "&" : "?";
+    if (cursor) return `${uri}${joiner}cursor=${encodeURIComponent(cursor)}`;
+    if (at) return `${uri}${joiner}at=${encodeURIComponent(at)}`;
+    return uri;
+  }
+}
+
+function decodeSegmentPayload(bytes) {
+  try {
+    return decodeChunkedMessage(bytes);
+  } catch (e) {
+    const tolerant = decodeChunkedMessageLoose(bytes);
+    if (Array.isArray(tolerant?.messages) && tolerant.messages.length) {
+      return tolerant;
+    }
+    const text = safeUtf8(Buffer.from(bytes));
+    if (!text) throw e;
+
+    const tokens = [];
+    const compact = text.replace(/\s+/g, "");
+    if (/^[A-Za-z0-9+/=]+$/.test(compact) && compact.length >= 8) {
+      tokens.push(compact);
+    }
+
+    const matches = text.match(/[A-Za-z0-9+/=]{8,}/g);
+    if (matches) tokens.push(...matches);
+
+    const merged = [];
+    for (const token of tokens) {
+      try {
+        const parsed = decodeChunkedMessageLoose(Buffer.from(token, "base64"));
+        if (Array.isArray(parsed?.messages) && parsed.messages.length) {
+          merged.push(...parsed.messages);
+        }
+      } catch {}
+    }
+
+    if (merged.length) return { messages: merged };
+    throw e;
+  }
+}
+
+// Fetches a segment/backward/snapshot uri and calls onMessage for every decoded
+// message until the stream ends or signal aborts. Network errors are thrown;
+// an unusable response resolves to { ok: false, status }.
+async function readMessageStream(uri, { signal, onMessage, label = "segment" } = {}) {
+  const response = await fetch(uri, {
+    signal,
+    headers: {
+      "User-Agent": NDGR_USER_AGENT,
+      Accept: "application/octet-stream",
+    },
+  });
+
+  if (!response.ok || !response.body) {
+    return { ok: false, status: response.status };
+  }
+
+  let firstPayloadLogged = false;
+  const reader = response.body.getReader();
+  const processChunk = createChunkProcessor(label, ({
+    payload,
+    payloadLength,
+    varintLength,
+  }) => {
+    try {
+      if (!firstPayloadLogged) {
+        logNico(`${label} payload`, {
+          hex: payload.slice(0, 16).toString("hex"),
+          length: payload.length,
+        });
+        firstPayloadLogged = true;
+      }
+
+      const decoded = decodeSegmentPayload(payload);
+      const envelopes = Array.isArray(decoded?.messages)
+        ? decoded.messages
+        : decoded
+          ? [decoded]
+          : [];
+
+      for (const msg of envelopes) {
+        if (signal?.aborted) return;
+        onMessage(msg);
+      }
+    } catch (err) {
+      logNico(`${label} decode error`, {
+        error: err,
+        varint: payloadLength,
+        varintLength,
+        payloadHex: payload.slice(0, 16).toString("hex"),
+      });
+    }
+  });
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (!value) continue;
+    processChunk(value);
+  }
+
+  return { ok: true, status: response.status };
+}
+
+module.exports = {
+  NDGR_USER_AGENT,
+  logNico,
+  extractSegmentUrlFromPayload,
+  normalizeAtSeconds,
+  shouldAdvanceAt,
+  createChunkProcessor,
+  ensureAtParam,
+  ensureCursorOrAtParam,
+  readMessageStream,
+};
@@ -0,0 +1,1201 @@
+// niconico live (NDGR) connector. Resolves the watch page, follows the watch
+// WebSocket to the view/v4 stream and reads comments from segment streams.
+// Everything is reported through the ConnectionManager passed in.
+
+const WebSocket = require("ws");
+const { decodeViewPayload } = require("../proto/nicolive");
+const { createChatMessage } = require("./message");
+const { TimeshiftPlayer } = require("./niconicoTimeshift");
+const { CommentSequencer } = require("./commentSequencer");
+
+const BACKFILL_WAIT_MS = 8000;
+const GAP_RECOVERY_DELAY_MS = 1500;
+const GAP_RECOVERY_TIMEOUT_MS = 10000;
+const GAP_MARGIN_SECONDS = 5;
+const RECENT_SEGMENT_LIMIT = 30;
+const COMMENT_POST_TIMEOUT_MS = 5000;
+const COMMENT_POST_INTERVAL_MS = 2000;
+
+const COMMENT_COLORS = new Set([
+  "white",
+  "red",
+  "pink",
+  "orange",
+  "yellow",
+  "green",
+  "cyan",
+  "blue",
+  "purple",
+  "black",
+]);
+const COMMENT_POSITIONS = new Set(["naka", "ue", "shita"]);
+const COMMENT_SIZES = new Set(["medium", "big", "small"]);
+
+const COMMENT_POST_ERRORS = {
+  COMMENT_POST_NOT_ALLOWED: "この番組ではコメントできません",
+  COMMENT_LOCKED: "コメントがロックされています",
+  INVALID_MESSAGE: "コメント内容が不正です (NGワードまたは文字数)",
+  TOO_MANY_COMMENTS: "連投制限中です。少し待ってね",
+  NOT_LOGGED_IN: "ニコニコにログインしていません",
+};
+const {
+  NDGR_USER_AGENT,
+  logNico,
+  extractSegmentUrlFromPayload,
+  normalizeAtSeconds,
+  shouldAdvanceAt,
+  createChunkProcessor,
+  ensureAtParam,
+  ensureCursorOrAtParam,
+  readMessageStream,
+} = require("./ndgrStream");
+
+function decodeHtmlEntities(text) {
+  if (!text) return "";
+  const named = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    nbsp: " ",
+  };
+
+  return String(text).replace(/&(#x?[0-9a-fA-F]+|[a-zA-Z]+);/g, (_, entity) => {
+    if (entity.startsWith("#x") || entity.startsWith("#X")) {
+      const code = parseInt(entity.slice(2), 16);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : "";
+    }
+
+    if (entity.startsWith("#")) {
+      const code = parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : "";
+    }
+
+    if (named[entity]) return named[entity];
+    return `&${entity};`;
+  });
+}
+
+function collectUrlsDeep(value, results = new Set(), seen = new Set()) {
+  if (value == null) return results;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (/^(https?:|wss?:|ws:)/i.test(trimmed)) {
+      results.add(trimmed);
+    }
+    return results;
+  }
+
+  if (typeof value !== "object") return results;
+  if (seen.has(value)) return results;
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    for (const item of value) collectUrlsDeep(item, results, seen);
+    return results;
+  }
+
+  for (const key of Object.keys(value)) {
+    collectUrlsDeep(value[key], results, seen);
+  }
+
+  return results;
+}
+
+function parseNiconicoId(raw) {
+  const trimmed = String(raw || "").trim();
+  if (!trimmed) return null;
+
+  if (/^lv\d+$/i.test(trimmed)) return trimmed.toLowerCase();
+
+  // Only niconico URLs: "lv123" can just as well be an IRC channel or a tag.
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)(nicovideo\.jp|nico\.ms)$/i.test(url.hostname)) return null;
+  const possibleId = url.pathname.split("/").find((p) => /^lv\d+$/i.test(p));
+  return possibleId ? possibleId.toLowerCase() : null;
+}
+
+// Community (co…), channel (ch… or ch.nicovideo.jp/<name>) and user pages:
+// { kind: "community" | "channel" | "channelName" | "user", id } or null.
+// Bare co/ch ids can also be Twitch logins, so auto detection passes
+// allowBareId: false; "nico:co1234" is the way to use one.
+function parseNiconicoPage(raw, { allowBareId = true } = {}) {
+  const trimmed = String(raw || "").trim();
+  const bare = trimmed.match(/^(co|ch)\d+$/i);
+  if (bare) {
+    if (!allowBareId) return null;
+    const kind = bare[1].toLowerCase() === "co" ? "community" : "channel";
+    return { kind, id: trimmed.toLowerCase() };
+  }
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)nicovideo\.jp$/i.test(url.hostname)) return null;
+
+  const parts = url.pathname.split("/").filter(Boolean);
+  const social = parts.find((p) => /^(co|ch)\d+$/i.test(p));
+  if (social) {
+    const kind = social.slice(0, 2).toLowerCase() === "co" ? "community" : "channel";
+    return { kind, id: social.toLowerCase() };
+  }
+
+  const userIndex = parts.indexOf("user");
+  if (userIndex >= 0 && /^\d+$/.test(parts[userIndex + 1] || "")) {
+    return { kind: "user", id: parts[userIndex + 1] };
+  }
+
+  if (url.hostname.toLowerCase() === "ch.nicovideo.jp" && /^[\w-]+$/.test(parts[0] || "")) {
+    return { kind: "channelName", id: parts[0] };
+  }
+  return null;
+}
+
+// Raw (entity encoded) data-props JSON of a live.nicovideo.jp page.
+function findEmbeddedProps(html) {
+  const embeddedMatch = html.match(/<script[^>]*id="embedded-data"[^>]*data-props="([^"]+)"/i);
+  if (embeddedMatch) return embeddedMatch[1];
+  const genericMatch = html.match(/data-props="([^"]+)"/i);
+  if (genericMatch) return genericMatch[1];
+  return null;
+}
+
+// The channel's own id on a ch.nicovideo.jp/<name> page. Only fields that
+// describe the page itself count; the page also links other channels.
+function channelIdFromPage(html) {
+  const pageUrls = [
+    html.match(/<link[^>]+rel="canonical"[^>]+href="([^"]+)"/i)?.[1],
+    html.match(/<meta[^>]+property="og:url"[^>]+content="([^"]+)"/i)?.[1],
+  ];
+  for (const url of pageUrls) {
+    const id = url?.match(/\/(ch\d+)(?:[/?#]|$)/i)?.[1];
+    if (id) return id.toLowerCase();
+  }
+  const embedded = html.match(/"channel_?id"\s*:\s*"?(?:ch)?(\d+)/i)?.[1];
+  return embedded ? `ch${embedded}` : null;
+}
+
+const PROGRAM_STATUS_TEXT = {
+  ENDED: "放送は終了しています",
+  RELEASED: "放送開始前です",
+};
+
+// The watch page of a community/channel/user id shows its current program,
+// or the latest one when nothing is on air. Returns { liveId, status } or
+// null when the page has no program at all.
+async function resolveNiconicoPage(page, { session } = {}) {
+  const headers = { "User-Agent": NDGR_USER_AGENT };
+  if (session) headers.Cookie = `user_session=${session}`;
+
+  let socialId = page.id;
+  if (page.kind === "channelName") {
+    const res = await fetch(`https://ch.nicovideo.jp/${encodeURIComponent(page.id)}`, { headers });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`チャンネルページ取得失敗 (${res.status})`);
+    socialId = channelIdFromPage(await res.text());
+    if (!socialId) return null;
+  }
+
+  const watchUrl = page.kind === "user"
+    ? `https://live.nicovideo.jp/watch/user/${page.id}`
+    : `https://live.nicovideo.jp/watch/${socialId}`;
+  const res = await fetch(watchUrl, { headers });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`視聴ページ取得失敗 (${res.status})`);
+
+  const rawProps = findEmbeddedProps(await res.text());
+  let program = null;
+  try {
+    program = rawProps ? JSON.parse(decodeHtmlEntities(rawProps))?.program : null;
+  } catch {}
+  const liveId =
+    parseNiconicoId(program?.nicoliveProgramId) || parseNiconicoId(res.url) || null;
+  return liveId ? { liveId, status: program?.status || null } : null;
+}
+
+// Start offset (seconds from program begin) for timeshift playback, given as
+// `?from=<seconds>` or `#h:mm:ss` / `#mm:ss` on the input URL.
+function parseTimeshiftStart(raw) {
+  const trimmed = String(raw || "").trim();
+
+  const fromMatch = trimmed.match(/[?&]from=(\d+)/);
+  if (fromMatch) return Number(fromMatch[1]);
+
+  const hashMatch = trimmed.match(/#(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (hashMatch) {
+    const [, h, m, sec] = hashMatch;
+    return Number(h || 0) * 3600 + Number(m) * 60 + Number(sec);
+  }
+
+  return null;
+}
+
+// Builds the watch WebSocket postComment payload. `options` comes from the
+// composer: { anonymous, color, position, size }.
+function buildPostComment(text, vpos, options = {}) {
+  const data = {
+    text,
+    vpos,
+    isAnonymous: options.anonymous !== false,
+  };
+  if (COMMENT_COLORS.has(options.color)) data.color = options.color;
+  if (COMMENT_POSITIONS.has(options.position)) data.position = options.position;
+  if (COMMENT_SIZES.has(options.size)) data.size = options.size;
+  return { type: "postComment", data };
+}
+
+async function connectNiconico(manager, liveUrlOrId, options = {}) {
+  let liveId = parseNiconicoId(liveUrlOrId);
+  if (!liveId) {
+    const page = parseNiconicoPage(liveUrlOrId);
+    if (!page) {
+      manager.setStatus("ニコ生のURLまたはID (lv～ / co～ / ch～) を入力してね");
+      return;
+    }
+
+    manager.setStatus(`ニコ生 ${page.id} の放送を検索中…`);
+    let program;
+    try {
+      program = await resolveNiconicoPage(page, manager.getIdentity("niconico") || {});
+    } catch (e) {
+      manager.setStatus(`ニコ生 ${page.id}: ${e?.message || String(e)}`);
+      return;
+    }
+    if (!program || (program.status && program.status !== "ON_AIR")) {
+      manager.setStatus(`ニコ生 ${page.id}: 現在放送中の番組はありません`);
+      return;
+    }
+    liveId = program.liveId;
+  }
+
+  const id = `niconico:${liveId}`;
+  const connection = manager.openConnection({
+    id,
+    type: "niconico",
+    label: `ニコ生 ${liveId}`,
+    status: "ニコ生に接続中…",
+  });
+  if (!connection) return;
+
+  let viewAbort = null;
+  const segmentConnections = new Map();
+
+  const identity = manager.getIdentity("niconico");
+  const watchUrl = `https://live.nicovideo.jp/watch/${liveId}`;
+  manager.setStatus(`ニコ生 ${liveId} 接続準備 (step1: 視聴ページ取得開始)`);
+
+  let html;
+  try {
+    const headers = { "User-Agent": NDGR_USER_AGENT };
+    if (identity?.session) headers.Cookie = `user_session=${identity.session}`;
+    const res = await fetch(watchUrl, { headers });
+
+    manager.setStatus(`ニコ生 ${liveId} 視聴ページ取得完了 (status: ${res.status}, step1)`);
+
+    if (!res.ok) {
+      await manager.disconnectConnection(id);
+      return;
+    }
+
+    html = await res.text();
+    logNico("watch html length", html.length);
+  } catch (e) {
+    manager.setStatus(`ニコ生取得失敗: ${e?.message || String(e)}`);
+    await manager.disconnectConnection(id);
+    return;
+  }
+
+  logNico("step2: watch websocket url search");
+
+  let watchWsUrl = null;
+  let vposBaseTime = null;
+  let programBeginTime = null;
+  let programEndTime = null;
+  let programStatus = null;
+
+  const rawProps = findEmbeddedProps(html);
+  if (rawProps) {
+    try {
+      const decodedJson = decodeHtmlEntities(rawProps);
+      const props = JSON.parse(decodedJson);
+      logNico("data-props parse success");
+      watchWsUrl =
+        props?.site?.relive?.watchServer?.url ||
+        props?.site?.program?.watchServer?.url ||
+        props?.program?.broadcaster?.socialGroup?.watchServer?.url ||
+        props?.program?.broadcast?.watchServer?.url ||
+        props?.watchServer?.url;
+      vposBaseTime =
+        Number(props?.program?.vposBaseTime ?? props?.program?.beginTime) || null;
+      programBeginTime = Number(props?.program?.beginTime) || null;
+      programEndTime = Number(props?.program?.endTime) || null;
+      programStatus = props?.program?.status || null;
+    } catch (e) {
+      logNico("data-props parse failed", e);
+    }
+  }
+
+  if (!watchWsUrl) {
+    const matchUrl = html.match(/wss?:\/[\w./:%#@\-?=~_|!$&'()*+,;]+/i);
+    if (matchUrl) watchWsUrl = matchUrl[0];
+  }
+
+  if (watchWsUrl) {
+    const cleaned = decodeHtmlEntities(String(watchWsUrl)).trim();
+    const match = cleaned.match(/wss?:\/\/[^"'<>\s]+/);
+    watchWsUrl = match ? match[0] : null;
+  }
+
+  if (!watchWsUrl) {
+    manager.setStatus(
+      PROGRAM_STATUS_TEXT[programStatus]
+        ? `ニコ生 ${liveId}: ${PROGRAM_STATUS_TEXT[programStatus]}`
+        : "NDGRのwatch WS URLが取得できませんでした (step2)"
+    );
+    await manager.disconnectConnection(id);
+    return;
+  }
+
+  manager.setStatus(`step2a: watch WS url = ${watchWsUrl}`);
+
+  const isTimeshift = Boolean(options.timeshift) || programStatus === "ENDED";
+  if (isTimeshift) {
+    connection.mode = "timeshift";
+    connection.label = `ニコ生 ${liveId} (タイムシフト)`;
+    manager.broadcastConnections();
+  }
+
+  const connectionAbortController = new AbortController();
+  let messageCount = 0;
+  let viewUri = null;
+  let watchSocket = null;
+  let watchKeepTimer = null;
+  let watchReconnectTimer = null;
+  let watchReconnectDelay = 1000;
+  let messageServerViewUri = null;
+  let akashicViewUriIgnored = false;
+  let timeshiftPlayer = null;
+  let serverTimeOffset = 0;
+  let pendingPost = null;
+  let lastPostAt = 0;
+
+  const cleanupSegments = async () => {
+    const pending = Array.from(segmentConnections.values());
+    segmentConnections.clear();
+    for (const state of pending) {
+      try {
+        state.controller.abort();
+        await state.promise;
+      } catch {}
+    }
+  };
+
+  const cleanup = () => {
+    if (watchReconnectTimer) {
+      clearTimeout(watchReconnectTimer);
+      watchReconnectTimer = null;
+    }
+    if (watchKeepTimer) {
+      clearInterval(watchKeepTimer);
+      watchKeepTimer = null;
+    }
+    if (watchSocket) {
+      try {
+        watchSocket.close();
+      } catch {}
+      watchSocket = null;
+    }
+    settlePost(new Error("切断されました"));
+    connectionAbortController.abort();
+    backfill.abort.abort();
+    sequencer.stop();
+    if (gapTimer) {
+      clearTimeout(gapTimer);
+      gapTimer = null;
+    }
+    viewAbort?.abort();
+    timeshiftPlayer?.stop();
+    cleanupSegments();
+  };
+
+  connection.disconnect = async () => cleanup();
+
+  let programEnded = false;
+
+  const endProgram = (reason) => {
+    if (programEnded) return;
+    programEnded = true;
+    logNico("program end", reason);
+    manager.setStatus(`ニコ生 ${liveId} 番組終了 (${reason})`);
+    cleanup();
+    manager.markConnectionEnded(id, reason);
+  };
+
+  let lastSegmentCursor = null;
+
+  const toChatMessage = (chat, { history = false } = {}) => {
+    const hasNo = chat.no != null;
+    const vpos = typeof chat.vpos === "number" ? chat.vpos : null;
+    return createChatMessage({
+      platform: "niconico",
+      connectionId: id,
+      channel: liveId,
+      source: connection.label,
+      platformId: hasNo ? `${chat.threadId || chat.roomName || ""}:${chat.no}` : null,
+      sentAt: vposBaseTime && vpos != null ? vposBaseTime * 1000 + vpos * 10 : null,
+      user: {
+        id: chat.userId || null,
+        login: null,
+        displayName: chat.anonymous ? null : chat.name || null,
+      },
+      text: chat.content,
+      history,
+      extensions: {
+        niconico: {
+          no: hasNo ? chat.no : null,
+          vpos,
+          mail: chat.mail || "",
+          anonymous: Boolean(chat.anonymous),
+          roomName: chat.roomName || null,
+          threadId: chat.threadId || null,
+        },
+      },
+    });
+  };
+
+  // Recent comments fetched from backward/snapshot/previous data when joining
+  // mid-broadcast. Live comments are held back until the backlog is emitted so
+  // the history always renders first.
+  const backfillCount = isTimeshift
+    ? 0
+    : Math.max(0, Math.floor(Number(options.backfill) || 0));
+  const backfill = {
+    pending: backfillCount > 0,
+    started: false,
+    held: [],
+    abort: new AbortController(),
+    timer: null,
+  };
+
+  const sequencer = new CommentSequencer({
+    onRelease: (chat) => manager.emitMessage(toChatMessage(chat)),
+    onGap: (gap) => queueGapRecovery(gap),
+  });
+
+  // Gap recovery: when comment numbers jump, re-read the segments covering the
+  // time around the hole (or the latest backward data) and feed the missing
+  // comments back through the sequencer. Whatever is still missing afterwards
+  // is reported as lost in the connection status.
+  const recentSegments = [];
+  let latestBackwardUri = null;
+  const pendingGaps = [];
+  let gapTimer = null;
+  let gapRecoveryRunning = false;
+
+  const rememberSegment = (segment) => {
+    if (!segment?.uri || recentSegments.some((s) => s.uri === segment.uri)) return;
+    recentSegments.push({
+      uri: segment.uri,
+      from: Number(normalizeAtSeconds(segment.from)) || null,
+      until: Number(normalizeAtSeconds(segment.until)) || null,
+    });
+    if (recentSegments.length > RECENT_SEGMENT_LIMIT) recentSegments.shift();
+  };
+
+  const reportGaps = () => {
+    const stats = sequencer.getGapStats();
+    manager.updateConnectionGaps(id, stats);
+  };
+
+  const queueGapRecovery = (gap) => {
+    logNico("comment gap", gap.thread, gap.from, gap.to);
+    pendingGaps.push(gap);
+    reportGaps();
+    if (gapTimer || gapRecoveryRunning) return;
+    gapTimer = setTimeout(runGapRecovery, GAP_RECOVERY_DELAY_MS);
+  };
+
+  const gapSourceUris = (gap) => {
+    const beforeVpos = gap.before?.vpos;
+    const afterVpos = gap.after?.vpos;
+    if (vposBaseTime && typeof beforeVpos === "number" && typeof afterVpos === "number") {
+      const from = vposBaseTime + beforeVpos / 100 - GAP_MARGIN_SECONDS;
+      const until = vposBaseTime + afterVpos / 100 + GAP_MARGIN_SECONDS;
+      const overlapping = recentSegments.filter(
+        (s) => (s.until == null || s.until >= from) && (s.from == null || s.from <= until)
+      );
+      if (overlapping.length) return overlapping.map((s) => s.uri);
+    } else if (recentSegments.length) {
+      return recentSegments.slice(-2).map((s) => s.uri);
+    }
+    return latestBackwardUri ? [latestBackwardUri] : [];
+  };
+
+  const runGapRecovery = async () => {
+    gapTimer = null;
+    if (gapRecoveryRunning || connectionAbortController.signal.aborted) return;
+    gapRecoveryRunning = true;
+
+    const gaps = pendingGaps.splice(0);
+    const uris = [...new Set(gaps.flatMap(gapSourceUris))];
+    const abort = new AbortController();
+    const stopAll = () => abort.abort();
+    connectionAbortController.signal.addEventListener("abort", stopAll, { once: true });
+    const timeout = setTimeout(stopAll, GAP_RECOVERY_TIMEOUT_MS);
+
+    for (const uri of uris) {
+      if (abort.signal.aborted) break;
+      try {
+        logNico("gap recovery uri", uri);
+        await readMessageStream(uri, {
+          signal: abort.signal,
+          label: "gap",
+          onMessage: (msg) => {
+            if (msg?.chat?.content && sequencer.isMissing(msg.chat)) {
+              sequencer.push(msg.chat);
+            }
+          },
+        });
+      } catch (e) {
+        if (!abort.signal.aborted) logNico("gap recovery error", e);
+      }
+    }
+
+    clearTimeout(timeout);
+    connectionAbortController.signal.removeEventListener("abort", stopAll);
+    gapRecoveryRunning = false;
+    if (connectionAbortController.signal.aborted) return;
+
+    let lost = 0;
+    for (const gap of gaps) lost += sequencer.abandonGap(gap.thread, gap.from, gap.to);
+    if (lost) {
+      manager.setStatus(`ニコ生 ${liveId} コメント ${lost} 件を取得できませんでした`);
+    }
+    reportGaps();
+
+    if (pendingGaps.length && !gapTimer) {
+      gapTimer = setTimeout(runGapRecovery, GAP_RECOVERY_DELAY_MS);
+    }
+  };
+
+  // history: the chat came from backward/snapshot data. Those are older than
+  // the live position, so going through the sequencer would release them as
+  // late live comments; they are only marked seen and shown as history.
+  const emitChat = (chat, { history = false } = {}) => {
+    if (backfill.pending) {
+      backfill.held.push({ chat, history });
+      return;
+    }
+    if (!history) {
+      sequencer.push(chat);
+      return;
+    }
+    if (sequencer.markSeen(chat)) {
+      manager.emitMessage(toChatMessage(chat, { history: true }));
+    }
+  };
+
+  const finishBackfill = (chats) => {
+    if (!backfill.pending) return;
+    backfill.pending = false;
+    if (backfill.timer) clearTimeout(backfill.timer);
+
+    const ordered = chats
+      .slice()
+      .sort((a, b) => (a.no ?? a.vpos ?? 0) - (b.no ?? b.vpos ?? 0));
+    // Everything fetched is marked seen, not just what is shown, so the live
+    // streams cannot deliver the older part again.
+    const fresh = ordered.filter((chat) => sequencer.markSeen(chat));
+    const recent = fresh.slice(-backfillCount);
+
+    for (const chat of recent) {
+      manager.emitMessage(toChatMessage(chat, { history: true }));
+    }
+
+    if (recent.length) {
+      manager.setStatus(`ニコ生 ${liveId} 過去コメント ${recent.length} 件を取得`);
+    }
+
+    const held = backfill.held;
+    backfill.held = [];
+    for (const { chat, history } of held) emitChat(chat, { history });
+  };
+
+  const armBackfillTimeout = () => {
+    if (!backfill.pending || backfill.timer) return;
+    backfill.timer = setTimeout(() => backfill.abort.abort(), BACKFILL_WAIT_MS);
+    backfill.abort.signal.addEventListener("abort", () => {
+      if (!backfill.started) finishBackfill([]);
+    });
+  };
+
+  const startBackfill = (uris) => {
+    if (!backfill.pending || backfill.started) return false;
+    backfill.started = true;
+    armBackfillTimeout();
+
+    (async () => {
+      const chats = [];
+      for (const uri of uris) {
+        if (backfill.abort.signal.aborted) break;
+        try {
+          logNico("backfill uri", uri);
+          await readMessageStream(uri, {
+            signal: backfill.abort.signal,
+            label: "backfill",
+            onMessage: (msg) => {
+              if (msg?.chat?.content) chats.push(msg.chat);
+            },
+          });
+        } catch (e) {
+          if (!backfill.abort.signal.aborted) logNico("backfill error", e);
+        }
+      }
+      if (!connectionAbortController.signal.aborted) finishBackfill(chats);
+    })();
+
+    return true;
+  };
+
+  const startSegmentStream = (uri, options = {}) => {
+    if (!uri || connectionAbortController.signal.aborted) return;
+
+    if (options.cursor) {
+      lastSegmentCursor = options.cursor;
+    }
+
+    const targetUri = ensureCursorOrAtParam(uri, options);
+    if (segmentConnections.has(targetUri)) return;
+
+    const controller = new AbortController();
+    const state = { controller, promise: null };
+    segmentConnections.set(targetUri, state);
+
+    state.promise = (async () => {
+      let firstMessageLogged = false;
+
+      try {
+        logNico("segmentServer uri", targetUri);
+        manager.setStatus(`segment 接続開始 ${targetUri}`);
+
+        const result = await readMessageStream(targetUri, {
+          signal: controller.signal,
+          onMessage: (msg) => {
+            if (msg?.chat?.content && !firstMessageLogged) {
+              logNico("first segment chat", msg.chat.content);
+              firstMessageLogged = true;
+              manager.setStatus("step5: コメント受信開始 (1件目受信)");
+              manager.updateConnectionStatus(id, "接続中 (コメント受信中)");
+            }
+
+            if (msg?.chat?.content) {
+              messageCount += 1;
+              emitChat(msg.chat, { history: Boolean(options.history) });
+            }
+
+            if (msg?.statistics) {
+              const { watchCount, commentCount } = msg.statistics;
+              const stats = {};
+              if (Number.isFinite(watchCount)) stats.watchCount = watchCount;
+              if (Number.isFinite(commentCount)) stats.commentCount = commentCount;
+              if (Object.keys(stats).length) {
+                manager.updateConnectionStatistics(id, stats);
+              }
+            }
+
+            if (msg?.end) {
+              endProgram("segment end");
+              return;
+            }
+
+            if (msg?.reconnect) {
+              if (msg.reconnect.cursor) {
+                lastSegmentCursor = msg.reconnect.cursor;
+              }
+
+              if (msg.reconnect.streamUrl) {
+                const normalizedAt = normalizeAtSeconds(msg.reconnect.at);
+                startSegmentStream(msg.reconnect.streamUrl, {
+                  cursor: msg.reconnect.cursor || lastSegmentCursor,
+                  at: normalizedAt || undefined,
+                });
+              }
+            }
+          },
+        });
+
+        if (!result.ok) {
+          manager.setStatus(`segment 接続失敗 ${result.status}`);
+        }
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          manager.setStatus(`segment エラー: ${e?.message || String(e)}`);
+        }
+      } finally {
+        segmentConnections.delete(targetUri);
+      }
+    })();
+  };
+
+  const connectViewStream = async (initialBase) => {
+    armBackfillTimeout();
+    let targetBase = initialBase;
+    let nextStreamAt = "now";
+    let reconnectDelay = 1000;
+    let viewErrorBackoff = 500;
+
+    while (!connectionAbortController.signal.aborted && targetBase) {
+      if (viewAbort) viewAbort.abort();
+      viewAbort = new AbortController();
+      const localAbort = viewAbort;
+      let updatedDuringStream = false;
+      const atValue = normalizeAtSeconds(nextStreamAt) || "now";
+      const targetUrl = ensureAtParam(targetBase, atValue);
+      let firstChunkLogged = false;
+      let firstPayloadLogged = false;
+
+      try {
+        manager.updateConnectionStatus(id, "NDGR ビュー取得中…");
+        manager.setStatus(`step3: view/v4 接続 ${targetUrl}`);
+
+        const response = await fetch(targetUrl, {
+          signal: localAbort.signal,
+          headers: {
+            "User-Agent": NDGR_USER_AGENT,
+            Accept: "application/octet-stream",
+            header: "u=1, i",
+            Origin: "https://live.nicovideo.jp",
+            Referer: "https://live.nicovideo.jp/",
+          },
+        });
+
+        if (!response.ok || !response.body) {
+          if (response.status === 422) {
+            manager.setStatus(
+              `view/v4 取得失敗 (${response.status}), ${viewErrorBackoff}ms 後に再試行`
+            );
+            await new Promise((resolve) => setTimeout(resolve, viewErrorBackoff));
+            viewErrorBackoff = Math.min(viewErrorBackoff * 2, 2000);
+            nextStreamAt = "now";
+            continue;
+          }
+
+          manager.setStatus(`view/v4 取得失敗 (${response.status})`);
+          break;
+        }
+
+        viewErrorBackoff = 500;
+
+        const reader = response.body.getReader();
+        const processChunk = createChunkProcessor("view", ({
+          payload,
+          rawChunk,
+          payloadLength,
+          varintLength,
+        }) => {
+          if (!firstChunkLogged) {
+            logNico("view chunk0", {
+              hex: rawChunk.toString("hex"),
+              length: rawChunk.length,
+            });
+            firstChunkLogged = true;
+          }
+
+          try {
+            if (!firstPayloadLogged) {
+              logNico("view payload", {
+                hex: payload.slice(0, 16).toString("hex"),
+                length: payload.length,
+              });
+              firstPayloadLogged = true;
+            }
+
+            const decoded = decodeViewPayload(payload);
+            const entries = Array.isArray(decoded?.entries) ? decoded.entries : [];
+
+            for (const entry of entries) {
+              if (entry?.segment?.uri) {
+                rememberSegment(entry.segment);
+                const nextUri = ensureAtParam(entry.segment.uri, "now");
+                logNico("segment uri (view)", nextUri);
+                startSegmentStream(nextUri);
+              }
+
+              if (entry?.reconnect?.at != null) {
+                const normalized = normalizeAtSeconds(entry.reconnect.at) || atValue;
+                if (shouldAdvanceAt(atValue, normalized)) {
+                  nextStreamAt = normalized;
+                  updatedDuringStream = true;
+                  logNico("view reconnect.at", normalized);
+                  try {
+                    localAbort.abort();
+                  } catch {}
+                  break;
+                }
+
+                logNico("view reconnect.at ignored (past)", normalized);
+              }
+
+              if (entry?.next?.at != null) {
+                const normalized = normalizeAtSeconds(entry.next.at) || atValue;
+                if (shouldAdvanceAt(atValue, normalized)) {
+                  nextStreamAt = normalized;
+                  updatedDuringStream = true;
+                  if (entry.next.uri) {
+                    targetBase = entry.next.uri;
+                    viewUri = entry.next.uri;
+                    logNico("view next.uri", targetBase);
+                  }
+                  logNico("view next.at", normalized);
+                  try {
+                    localAbort.abort();
+                  } catch {}
+                  break;
+                }
+
+                logNico("view next.at ignored (past)", normalized);
+              }
+
+              if (entry?.reconnect?.streamUrl) {
+                const at = normalizeAtSeconds(entry.reconnect.at) || "now";
+                if (entry.reconnect.cursor) {
+                  lastSegmentCursor = entry.reconnect.cursor;
+                }
+                startSegmentStream(entry.reconnect.streamUrl, {
+                  cursor: entry.reconnect.cursor || lastSegmentCursor,
+                  at,
+                });
+              }
+
+              if (entry?.backwardUri && !entry?.next) {
+                latestBackwardUri = entry.backwardUri;
+              }
+
+              const backfillUris = [
+                entry?.previous?.uri,
+                entry?.snapshotUri,
+                entry?.next ? null : entry?.backwardUri,
+              ].filter(Boolean);
+              if (backfillUris.length && startBackfill([...new Set(backfillUris)])) {
+                continue;
+              }
+
+              if (entry?.backwardUri) {
+                const at = normalizeAtSeconds(entry?.segment?.from) || undefined;
+                startSegmentStream(entry.backwardUri, { at, history: true });
+              }
+
+              if (entry?.snapshotUri) {
+                const at = normalizeAtSeconds(entry?.segment?.from) || undefined;
+                startSegmentStream(entry.snapshotUri, { at, history: true });
+              }
+
+              if (entry?.previous) {
+                logNico("view previous ignored", entry.previous);
+              }
+            }
+          } catch (e) {
+            logNico("view decode error", {
+              error: e,
+              varint: payloadLength,
+              varintLength,
+              payloadHex: payload.slice(0, 32).toString("hex"),
+              chunkHead: rawChunk.slice(0, 16).toString("hex"),
+            });
+
+            const fallbackUrl = extractSegmentUrlFromPayload(payload);
+            if (fallbackUrl) {
+              const safeUrl = ensureAtParam(fallbackUrl, "now");
+              logNico("view decode fallback url", safeUrl);
+              startSegmentStream(safeUrl);
+            }
+          }
+        });
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          if (!value) continue;
+          processChunk(value);
+        }
+      } catch (e) {
+        if (!localAbort.signal.aborted) {
+          manager.setStatus(`view/v4 取得エラー: ${e?.message || String(e)}`);
+        }
+      }
+
+      viewAbort = null;
+      if (connectionAbortController.signal.aborted) break;
+
+      if (!updatedDuringStream && atValue === nextStreamAt) {
+        await new Promise((resolve) => setTimeout(resolve, reconnectDelay));
+        reconnectDelay = Math.min(reconnectDelay * 2, 16000);
+      } else {
+        reconnectDelay = 1000;
+      }
+    }
+  };
+
+  const startTimeshift = (uri) => {
+    if (timeshiftPlayer || connectionAbortController.signal.aborted) return;
+
+    const baseTime = vposBaseTime || programBeginTime;
+    if (!baseTime) {
+      manager.setStatus("タイムシフト: 番組の開始時刻が取得できませんでした");
+      return;
+    }
+
+    const beginOffset = programBeginTime ? programBeginTime - baseTime : 0;
+    const startSeconds = options.startSeconds ?? parseTimeshiftStart(liveUrlOrId) ?? 0;
+
+    timeshiftPlayer = new TimeshiftPlayer({
+      viewUri: uri,
+      vposBaseTime: baseTime,
+      duration: programEndTime ? (programEndTime - baseTime) * 1000 : null,
+      startPosition: (beginOffset + startSeconds) * 1000,
+      signal: connectionAbortController.signal,
+      onChat: (chat) => {
+        messageCount += 1;
+        manager.emitMessage(toChatMessage(chat));
+      },
+      onState: (state) => manager.updatePlaybackState(id, state),
+    });
+    connection.playback = timeshiftPlayer;
+
+    manager.setStatus(`ニコ生 ${liveId} タイムシフト再生開始`);
+    manager.updateConnectionStatus(id, "タイムシフト再生中");
+    timeshiftPlayer.start();
+  };
+
+  const attachViewUri = (uri) => {
+    if (isTimeshift) startTimeshift(uri);
+    else connectViewStream(uri);
+  };
+
+  const settlePost = (error) => {
+    if (!pendingPost) return;
+    const { resolve, reject, timer } = pendingPost;
+    pendingPost = null;
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve();
+  };
+
+  if (identity?.session && !isTimeshift) {
+    connection.sendMessage = (text, postOptions = {}) => {
+      const body = String(text || "").trim();
+      if (!body) return Promise.resolve();
+      if (!watchSocket || watchSocket.readyState !== WebSocket.OPEN) {
+        return Promise.reject(new Error("視聴セッションに接続していません"));
+      }
+      if (pendingPost || Date.now() - lastPostAt < COMMENT_POST_INTERVAL_MS) {
+        return Promise.reject(new Error(COMMENT_POST_ERRORS.TOO_MANY_COMMENTS));
+      }
+      if (!vposBaseTime) {
+        return Promise.reject(new Error("番組の開始時刻が取得できていません"));
+      }
+
+      const vpos = Math.max(
+        0,
+        Math.round((Date.now() + serverTimeOffset - vposBaseTime * 1000) / 10)
+      );
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+          () => settlePost(new Error("コメント送信の応答がありません")),
+          COMMENT_POST_TIMEOUT_MS
+        );
+        pendingPost = { resolve, reject, timer };
+        lastPostAt = Date.now();
+        try {
+          watchSocket.send(JSON.stringify(buildPostComment(body, vpos, postOptions)));
+        } catch (e) {
+          settlePost(e);
+        }
+      });
+    };
+    manager.broadcastConnections();
+  }
+
+  const handleWatchMessage = (raw) => {
+    const text = typeof raw === "string" ? raw : String(raw);
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      logNico("watch ws json parse failed", e, text.slice(0, 2000));
+      return;
+    }
+
+    if (parsed.type === "ping") {
+      try {
+        watchSocket?.send(JSON.stringify({ type: "pong" }));
+      } catch {}
+      return;
+    }
+
+    if (parsed.type === "serverTime") {
+      const serverNow = Date.parse(parsed?.data?.currentMs || parsed?.data?.serverTime);
+      if (Number.isFinite(serverNow)) serverTimeOffset = serverNow - Date.now();
+      return;
+    }
+
+    if (parsed.type === "postCommentResult") {
+      settlePost(null);
+      return;
+    }
+
+    if (parsed.type === "error" && pendingPost) {
+      const code = parsed?.data?.code || "UNKNOWN";
+      settlePost(new Error(COMMENT_POST_ERRORS[code] || `コメント送信エラー (${code})`));
+      return;
+    }
+
+    if (parsed.type === "disconnect") {
+      const reason = parsed?.data?.reason || "unknown";
+      logNico("watch ws disconnect", reason);
+      if (reason === "END_PROGRAM" && !isTimeshift) endProgram(reason);
+      return;
+    }
+
+    if (parsed.type === "seat" || parsed.type === "room") {
+      try {
+        watchSocket?.send(JSON.stringify({ type: "keepSeat" }));
+      } catch {}
+    }
+
+    if (parsed.type === "messageServer") {
+      const serverBaseTime = Date.parse(parsed?.data?.vposBaseTime);
+      if (Number.isFinite(serverBaseTime)) vposBaseTime = serverBaseTime / 1000;
+
+      const candidateUri =
+        parsed?.data?.viewUri || parsed?.data?.messageServer?.uri;
+
+      if (candidateUri && candidateUri.includes("mpn.live.nicovideo.jp/api/view")) {
+        messageServerViewUri = candidateUri;
+        if (viewUri !== candidateUri) {
+          viewUri = candidateUri;
+          logNico("view uri (messageServer)", viewUri);
+          manager.setStatus(`step3: ndgr viewUri = ${viewUri}`);
+          attachViewUri(viewUri);
+        }
+        return;
+      }
+    }
+
+    if (parsed.type === "akashicMessageServer") {
+      const akashicUri = parsed?.data?.viewUri || parsed?.data?.messageServer?.uri;
+      if (akashicUri && !akashicViewUriIgnored) {
+        logNico("akashic viewUri ignored", akashicUri);
+        akashicViewUriIgnored = true;
+      }
+      return;
+    }
+
+    const urlCandidates = Array.from(collectUrlsDeep(parsed));
+    const fallbackView = urlCandidates.find((u) =>
+      u.includes("mpn.live.nicovideo.jp/api/view/")
+    );
+    if (!messageServerViewUri && fallbackView && fallbackView !== viewUri) {
+      viewUri = fallbackView;
+      logNico("view uri (fallback)", viewUri);
+      manager.setStatus(`step3: ndgr viewUri = ${viewUri}`);
+      attachViewUri(viewUri);
+    }
+  };
+
+  const openWatchSocket = () => {
+    if (watchSocket) {
+      try {
+        watchSocket.close();
+      } catch {}
+      watchSocket = null;
+    }
+
+    watchSocket = new WebSocket(watchWsUrl, {
+      headers: { "User-Agent": NDGR_USER_AGENT },
+    });
+
+    watchSocket.on("open", () => {
+      watchReconnectDelay = 1000;
+      manager.setStatus("step2b: watch ws open");
+      const startWatching = {
+        type: "startWatching",
+        data: {
+          stream: {
+            quality: "high",
+            protocol: "hls",
+            latency: "low",
+            chasePlay: false,
+          },
+          room: { protocol: "webSocket", commentable: true },
+          reconnect: false,
+        },
+      };
+      try {
+        watchSocket.send(JSON.stringify(startWatching));
+      } catch (e) {
+        logNico("watch ws startWatching send failed", e);
+      }
+
+      if (watchKeepTimer) clearInterval(watchKeepTimer);
+      watchKeepTimer = setInterval(() => {
+        try {
+          if (watchSocket?.readyState === WebSocket.OPEN) {
+            watchSocket.ping();
+            watchSocket.send(JSON.stringify({ type: "keepSeat" }));
+          }
+        } catch {}
+      }, 30000);
+    });
+
+    watchSocket.on("message", (data) => {
+      handleWatchMessage(data.toString());
+    });
+
+    watchSocket.on("error", (err) => {
+      manager.setStatus(`watch ws error: ${err?.message || String(err)}`);
+    });
+
+    watchSocket.on("close", (code, reason) => {
+      const reasonText = Buffer.isBuffer(reason)
+        ? reason.toString("utf8")
+        : String(reason || "");
+      manager.setStatus(`watch ws close (${code}): ${reasonText}`);
+      if (!connectionAbortController.signal.aborted) {
+        if (watchReconnectTimer) clearTimeout(watchReconnectTimer);
+        watchReconnectTimer = setTimeout(() => {
+          openWatchSocket();
+        }, watchReconnectDelay);
+        watchReconnectDelay = Math.min(watchReconnectDelay * 2, 16000);
+      }
+    });
+  };
+
+  openWatchSocket();
+}
+
+const niconicoAdapter = {
+  name: "niconico",
+  prefixes: ["nico", "niconico"],
+  match: (input) =>
+    Boolean(parseNiconicoId(input) || parseNiconicoPage(input, { allowBareId: false })),
+  connect: connectNiconico,
+};
+
+module.exports = {
+  parseNiconicoId,
+  parseNiconicoPage,
+  parseTimeshiftStart,
+  connectNiconico,
+  niconicoAdapter,
+};
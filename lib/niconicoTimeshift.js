@@ -0,0 +1,393 @@
+// Timeshift (archive) playback for finished niconico programs. Comments are
+// fetched ahead of the playback position by walking the view/v4 `next` chain
+// (plus `previous`/backward data right after a seek) and released according
+// to a local clock that can be paused, seeked and sped up.
+//
+// Positions are milliseconds on the vpos timeline (vpos * 10).
+
+const { decodeViewPayload } = require("../proto/nicolive");
+const {
+  NDGR_USER_AGENT,
+  logNico,
+  createChunkProcessor,
+  ensureAtParam,
+  readMessageStream,
+} = require("./ndgrStream");
+
+const TICK_MS = 200;
+const STATE_INTERVAL_MS = 1000;
+const LOOKAHEAD_MS = 2 * 60 * 1000;
+const VIEW_IDLE_TIMEOUT_MS = 15 * 1000;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 16;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// NDGR timestamps are usually unix seconds but some frames carry millis.
+const toSeconds = (value) => {
+  const n = Number(value);
+  return n >= 1e12 ? Math.floor(n / 1000) : n;
+};
+
+class TimeshiftPlayer {
+  constructor({
+    viewUri,
+    vposBaseTime,
+    duration = null,
+    startPosition = 0,
+    signal,
+    onChat,
+    onState,
+  }) {
+    this.viewUri = viewUri;
+    this.vposBaseTime = vposBaseTime;
+    this.duration = Number.isFinite(duration) ? duration : null;
+    this.signal = signal;
+    this.onChat = onChat;
+    this.onState = onState;
+
+    this.playing = false;
+    this.speed = 1;
+    this.startPosition = Math.max(0, startPosition);
+    this.basePosition = this.startPosition;
+    this.baseWallTime = Date.now();
+    this.ended = false;
+
+    this.generation = 0;
+    this.fetchAbort = null;
+    this.queue = [];
+    this.seen = new Set();
+    this.bufferedUntil = this.basePosition;
+    this.fetchDone = false;
+
+    this.tickTimer = null;
+    this.lastStateAt = 0;
+  }
+
+  position() {
+    if (!this.playing) return this.basePosition;
+    return this.basePosition + (Date.now() - this.baseWallTime) * this.speed;
+  }
+
+  rebase(position) {
+    this.basePosition = position;
+    this.baseWallTime = Date.now();
+  }
+
+  start() {
+    this.tickTimer = setInterval(() => this.tick(), TICK_MS);
+    this.signal?.addEventListener("abort", () => this.stop(), { once: true });
+    this.restartFetch();
+    this.play();
+  }
+
+  stop() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+    this.generation += 1;
+    this.fetchAbort?.abort();
+    this.fetchAbort = null;
+    this.playing = false;
+  }
+
+  play() {
+    if (this.playing) return;
+    // Replaying starts over at the start position (program begin plus any
+    // requested offset), not at vpos 0 before the program.
+    if (this.ended) this.seek(this.startPosition);
+    this.rebase(this.basePosition);
+    this.playing = true;
+    this.emitState(true);
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.rebase(this.position());
+    this.playing = false;
+    this.emitState(true);
+  }
+
+  seek(position) {
+    const max = this.duration ?? Infinity;
+    const target = Math.min(Math.max(0, Number(position) || 0), max);
+    this.rebase(target);
+    this.ended = false;
+    this.restartFetch();
+    this.emitState(true);
+  }
+
+  setSpeed(speed) {
+    const value = Number(speed);
+    if (!Number.isFinite(value)) return;
+    this.rebase(this.position());
+    this.speed = Math.min(Math.max(value, MIN_SPEED), MAX_SPEED);
+    this.emitState(true);
+  }
+
+  control({ action, value } = {}) {
+    switch (action) {
+      case "play":
+        this.play();
+        break;
+      case "pause":
+        this.pause();
+        break;
+      case "toggle":
+        if (this.playing) this.pause();
+        else this.play();
+        break;
+      case "seek":
+        this.seek(value);
+        break;
+      case "speed":
+        this.setSpeed(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  getState() {
+    let state = "paused";
+    if (this.ended) state = "ended";
+    else if (this.playing) state = "playing";
+
+    return {
+      state,
+      position: Math.round(this.position()),
+      duration: this.duration,
+      speed: this.speed,
+      buffering: this.playing && !this.fetchDone && this.position() >= this.bufferedUntil,
+    };
+  }
+
+  emitState(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastStateAt < STATE_INTERVAL_MS) return;
+    this.lastStateAt = now;
+    this.onState?.(this.getState());
+  }
+
+  tick() {
+    let position = this.position();
+
+    // Hold the clock at the edge of the buffer until more comments arrive.
+    if (this.playing && !this.fetchDone && position > this.bufferedUntil) {
+      this.rebase(this.bufferedUntil);
+      position = this.bufferedUntil;
+    }
+
+    while (this.queue.length && this.queue[0].position <= position) {
+      const { chat } = this.queue.shift();
+      this.onChat?.(chat);
+    }
+
+    const reachedEnd =
+      this.duration != null ? position >= this.duration : this.fetchDone;
+    if (this.playing && this.fetchDone && !this.queue.length && reachedEnd) {
+      this.rebase(this.duration ?? position);
+      this.playing = false;
+      this.ended = true;
+      this.emitState(true);
+      return;
+    }
+
+    this.emitState();
+  }
+
+  enqueue(chat, minPosition) {
+    if (!chat?.content || typeof chat.vpos !== "number") return;
+    const position = chat.vpos * 10;
+    if (position < minPosition) return;
+
+    const key = chat.no != null ? `${chat.threadId || ""}:${chat.no}` : null;
+    if (key) {
+      if (this.seen.has(key)) return;
+      this.seen.add(key);
+    }
+
+    let lo = 0;
+    let hi = this.queue.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this.queue[mid].position <= position) lo = mid + 1;
+      else hi = mid;
+    }
+    this.queue.splice(lo, 0, { position, chat });
+  }
+
+  restartFetch() {
+    this.generation += 1;
+    this.fetchAbort?.abort();
+    this.fetchAbort = new AbortController();
+    this.queue = [];
+    this.seen.clear();
+    this.fetchDone = false;
+    this.bufferedUntil = this.basePosition;
+
+    const generation = this.generation;
+    const signal = this.fetchAbort.signal;
+    this.fetchLoop(generation, signal).catch((e) => {
+      if (!signal.aborted) logNico("timeshift fetch error", e);
+    });
+  }
+
+  isCurrent(generation, signal) {
+    return generation === this.generation && !signal.aborted && !this.signal?.aborted;
+  }
+
+  async fetchLoop(generation, signal) {
+    const startPosition = this.basePosition;
+    let base = this.viewUri;
+    let at = this.vposBaseTime + Math.floor(startPosition / 1000);
+    let first = true;
+    let failures = 0;
+
+    while (this.isCurrent(generation, signal)) {
+      let view;
+      try {
+        view = await this.readView(base, at, signal);
+      } catch (e) {
+        if (!this.isCurrent(generation, signal)) return;
+        failures += 1;
+        logNico("timeshift view error", e);
+        if (failures > 5) break;
+        await wait(Math.min(500 * 2 ** failures, 8000));
+        continue;
+      }
+      failures = 0;
+
+      if (first && view.previousUri) {
+        await this.readChats(view.previousUri, startPosition, signal);
+      }
+      first = false;
+
+      for (const segment of view.segments) {
+        if (!this.isCurrent(generation, signal)) return;
+        await this.readChats(segment.uri, startPosition, signal);
+        if (segment.until != null) {
+          this.bufferedUntil = Math.max(
+            this.bufferedUntil,
+            (toSeconds(segment.until) - this.vposBaseTime) * 1000
+          );
+        }
+      }
+
+      if (!this.isCurrent(generation, signal)) return;
+
+      if (view.nextAt == null || view.nextAt <= at) break;
+      at = view.nextAt;
+      if (view.nextUri) base = view.nextUri;
+      this.bufferedUntil = Math.max(this.bufferedUntil, (at - this.vposBaseTime) * 1000);
+
+      if (this.duration != null && this.bufferedUntil >= this.duration) break;
+
+      while (
+        this.isCurrent(generation, signal) &&
+        this.bufferedUntil - this.position() > LOOKAHEAD_MS
+      ) {
+        await wait(500);
+      }
+    }
+
+    if (this.isCurrent(generation, signal)) {
+      this.fetchDone = true;
+      this.bufferedUntil = Infinity;
+      logNico("timeshift fetch done", { queued: this.queue.length });
+    }
+  }
+
+  // Reads one view/v4 response at `at` and returns the segments it lists, the
+  // next `at`/uri to continue from and an uri for comments before `at`.
+  async readView(base, at, signal) {
+    const local = new AbortController();
+    const abortLocal = () => local.abort();
+    signal.addEventListener("abort", abortLocal, { once: true });
+
+    const result = { segments: [], nextAt: null, nextUri: null, previousUri: null };
+    let idleTimer = null;
+    const resetIdle = () => {
+      if (idleTimer) clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => local.abort(), VIEW_IDLE_TIMEOUT_MS);
+    };
+
+    try {
+      resetIdle();
+      const response = await fetch(ensureAtParam(base, String(at)), {
+        signal: local.signal,
+        headers: {
+          "User-Agent": NDGR_USER_AGENT,
+          Accept: "application/octet-stream",
+          Origin: "https://live.nicovideo.jp",
+          Referer: "https://live.nicovideo.jp/",
+        },
+      });
+
+      if (!response.ok || !response.body) {
+        throw new Error(`view/v4 ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const processChunk = createChunkProcessor("timeshift view", ({ payload }) => {
+        const decoded = decodeViewPayload(payload);
+        for (const entry of decoded?.entries || []) {
+          if (entry?.segment?.uri) {
+            result.segments.push(entry.segment);
+          }
+
+          if (!result.previousUri) {
+            result.previousUri =
+              entry?.previous?.uri ||
+              entry?.snapshotUri ||
+              (entry?.next ? null : entry?.backwardUri) ||
+              null;
+          }
+
+          if (entry?.next?.at != null) {
+            result.nextAt = toSeconds(entry.next.at);
+            result.nextUri = entry.next.uri || null;
+            local.abort();
+          }
+        }
+      });
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        resetIdle();
+        if (value) processChunk(value);
+      }
+    } catch (e) {
+      if (signal.aborted) throw e;
+      // Our own abort (next received or idle) ends the response normally.
+      if (!local.signal.aborted) throw e;
+    } finally {
+      if (idleTimer) clearTimeout(idleTimer);
+      signal.removeEventListener("abort", abortLocal);
+    }
+
+    result.segments.sort((a, b) => toSeconds(a.from ?? 0) - toSeconds(b.from ?? 0));
+    return result;
+  }
+
+  async readChats(uri, minPosition, signal) {
+    try {
+      const result = await readMessageStream(uri, {
+        signal,
+        label: "timeshift",
+        onMessage: (msg) => {
+          if (msg?.chat) this.enqueue(msg.chat, minPosition);
+        },
+      });
+      if (!result.ok) logNico("timeshift segment failed", result.status, uri);
+    } catch (e) {
+      if (!signal.aborted) logNico("timeshift segment error", e);
+    }
+  }
+}
+
+module.exports = {
+  TimeshiftPlayer,
+};
@@ -0,0 +1,150 @@
+// Splits message text into typed fragments so every consumer renders the
+// same thing:
+//
+//   { type: "text", text }
+//   { type: "emote", text, id, url, provider }   provider: "twitch" | "bttv" | "ffz" | "7tv" | ...
+//   { type: "url", text, href }
+//   { type: "mention", text, login }
+//   { type: "cheermote", text, prefix, bits }
+//
+// Twitch emote ranges count code points, not UTF-16 units, so the text is
+// handled as an array of code points whenever offsets are involved.
+
+// Cheermote prefixes Twitch accepts in every channel.
+const DEFAULT_CHEERMOTE_PREFIXES = [
+  "cheer", "doodlecheer", "biblethump", "cheerwhal", "corgo", "uni", "showlove",
+  "party", "seemsgood", "pride", "kappa", "frankerz", "heyguys", "dansgame",
+  "elegiggle", "trihard", "kreygasm", "4head", "swiftrage", "notlikethis",
+  "failfish", "vohiyo", "pjsalt", "mrdestructoid", "bday", "ripcheer", "shamrock",
+];
+
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const MENTION_PATTERN = /^@([A-Za-z0-9_]{1,25})/;
+const CHEERMOTE_PATTERN = /^([A-Za-z0-9]+?)(\d+)$/;
+const TRAILING_PUNCTUATION = /[.,!?:;)\]」』、。]+$/;
+
+function twitchEmoteUrl(id) {
+  return `https://static-cdn.jtvnw.net/emoticons/v2/${id}/default/dark/1.0`;
+}
+
+// Twitch style { [emoteId]: ["start-end", ...] } -> sorted, non-overlapping ranges.
+function emoteRanges(emotes, length) {
+  const ranges = [];
+  if (!emotes || typeof emotes !== "object") return ranges;
+
+  for (const [id, list] of Object.entries(emotes)) {
+    if (!Array.isArray(list)) continue;
+    for (const range of list) {
+      const [start, end] = String(range || "").split("-").map(Number);
+      if (Number.isInteger(start) && Number.isInteger(end) && start <= end && end < length) {
+        ranges.push({ start, end, id });
+      }
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.filter((r, i) => i === 0 || r.start > ranges[i - 1].end);
+}
+
+function pushText(fragments, text) {
+  if (!text) return;
+  const last = fragments[fragments.length - 1];
+  if (last?.type === "text") last.text += text;
+  else fragments.push({ type: "text", text });
+}
+
+function classifyWord(fragments, word, { extraEmotes, cheermotes }) {
+  const emote = extraEmotes?.get(word);
+  if (emote) {
+    fragments.push({
+      type: "emote",
+      text: word,
+      id: emote.id,
+      url: emote.url,
+      provider: emote.provider,
+    });
+    return;
+  }
+
+  if (cheermotes) {
+    const cheer = CHEERMOTE_PATTERN.exec(word);
+    if (cheer && cheermotes.has(cheer[1].toLowerCase())) {
+      fragments.push({ type: "cheermote", text: word, prefix: cheer[1], bits: Number(cheer[2]) });
+      return;
+    }
+  }
+
+  // URLs and mentions often end in punctuation that is not part of them.
+  const trailing = TRAILING_PUNCTUATION.exec(word)?.[0] || "";
+  const core = trailing ? word.slice(0, -trailing.length) : word;
+
+  if (URL_PATTERN.test(core)) {
+    fragments.push({ type: "url", text: core, href: core });
+    pushText(fragments, trailing);
+    return;
+  }
+
+  const mention = MENTION_PATTERN.exec(word);
+  if (mention) {
+    fragments.push({ type: "mention", text: mention[0], login: mention[1].toLowerCase() });
+    pushText(fragments, word.slice(mention[0].length));
+    return;
+  }
+
+  pushText(fragments, word);
+}
+
+function tokenizeWords(fragments, text, options) {
+  for (const part of text.split(/(\s+)/)) {
+    if (!part) continue;
+    if (/^\s+$/.test(part)) pushText(fragments, part);
+    else classifyWord(fragments, part, options);
+  }
+}
+
+// options:
+//   emotes       Twitch style emote ranges (code point offsets)
+//   extraEmotes  Map(code -> { id, url, provider }) of whole-word emotes
+//   cheer        true for messages carrying bits, enables cheermotes
+//   cheermotePrefixes  overrides DEFAULT_CHEERMOTE_PREFIXES
+function tokenize(text, { emotes, extraEmotes, cheer = false, cheermotePrefixes } = {}) {
+  const chars = Array.from(String(text ?? ""));
+  const fragments = [];
+  const options = {
+    extraEmotes: extraEmotes?.size ? extraEmotes : null,
+    cheermotes: cheer
+      ? new Set((cheermotePrefixes || DEFAULT_CHEERMOTE_PREFIXES).map((p) => p.toLowerCase()))
+      : null,
+  };
+
+  let cursor = 0;
+  for (const { start, end, id } of emoteRanges(emotes, chars.length)) {
+    tokenizeWords(fragments, chars.slice(cursor, start).join(""), options);
+    fragments.push({
+      type: "emote",
+      text: chars.slice(start, end + 1).join(""),
+      id,
+      url: twitchEmoteUrl(id),
+      provider: "twitch",
+    });
+    cursor = end + 1;
+  }
+  tokenizeWords(fragments, chars.slice(cursor).join(""), options);
+
+  return fragments;
+}
+
+// Fragments for a normalized message (see ./message.js).
+function tokenizeMessage(message, { extraEmotes } = {}) {
+  return tokenize(message.text, {
+    emotes: message.emotes,
+    extraEmotes,
+    cheer: message.type === "cheer",
+  });
+}
+
+module.exports = {
+  DEFAULT_CHEERMOTE_PREFIXES,
+  tokenize,
+  tokenizeMessage,
+};
@@ -0,0 +1,582 @@
+// Twitch chat connector built on tmi.js. Connections of the same account
+// share one client through ./twitchHub.
+
+const { createChatMessage } = require("./message");
+const { TwitchHub } = require("./twitchHub");
+
+function parseTwitchChannel(raw) {
+  const trimmed = String(raw || "").trim();
+  if (!trimmed) return "";
+
+  try {
+    const url = new URL(trimmed);
+    if (url.hostname.endsWith("twitch.tv")) {
+      const maybeChannel = url.pathname.split("/").find((part) => part);
+      if (maybeChannel) return maybeChannel.toLowerCase();
+    }
+  } catch {}
+
+  const withoutPrefix = trimmed.replace(/^https?:\/\/(www\.)?twitch\.tv\//i, "");
+  const normalized = withoutPrefix.replace(/^#/, "").split("/")[0];
+
+  return normalized.toLowerCase();
+}
+
+function normalizeOAuthToken(token) {
+  return String(token || "").trim().replace(/^oauth:/i, "");
+}
+
+const HELIX_BASE = "https://api.twitch.tv/helix";
+const VALIDATE_URL = "https://id.twitch.tv/oauth2/validate";
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const HISTORY_WAIT_MS = 8000;
+const MAX_TIMEOUT_SECONDS = 14 * 24 * 60 * 60;
+
+// Twitch no longer accepts moderation commands over IRC, so delete / timeout /
+// ban / unban go through Helix. Requires the moderator:manage:banned_users and
+// moderator:manage:chat_messages scopes on the stored token.
+async function twitchApi(method, url, { token, clientId, body } = {}) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (clientId) headers["Client-Id"] = clientId;
+  if (body) headers["Content-Type"] = "application/json";
+
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {}
+
+  if (!response.ok) {
+    throw new Error(json?.message || `Twitch API ${response.status}`);
+  }
+  return json;
+}
+
+function helixUrl(path, query) {
+  const url = new URL(`${HELIX_BASE}${path}`);
+  for (const [key, value] of Object.entries(query)) {
+    if (value != null) url.searchParams.set(key, String(value));
+  }
+  return url.toString();
+}
+
+// ROOMSTATE tags -> { slow, emoteOnly, followersOnly, subsOnly, uniqueChat }.
+// Only the tags present are returned, since mode changes arrive one at a time.
+// slow is seconds (0 = off); followersOnly is minutes followed, or null when off.
+function parseRoomState(tags = {}) {
+  const state = {};
+  const flag = (value) => value === true || value === "1";
+  if ("slow" in tags) state.slow = Number(tags.slow) || 0;
+  if ("emote-only" in tags) state.emoteOnly = flag(tags["emote-only"]);
+  if ("followers-only" in tags) {
+    const minutes = Number(tags["followers-only"]);
+    state.followersOnly = Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+  }
+  if ("subs-only" in tags) state.subsOnly = flag(tags["subs-only"]);
+  if ("r9k" in tags) state.uniqueChat = flag(tags.r9k);
+  return state;
+}
+
+// Shared clients per manager, keyed by account.
+const hubs = new WeakMap();
+
+function hubFor(manager, identity) {
+  let byAccount = hubs.get(manager);
+  if (!byAccount) {
+    byAccount = new Map();
+    hubs.set(manager, byAccount);
+  }
+
+  const key = identity ? `${identity.username.toLowerCase()}:${identity.token}` : "";
+  let hub = byAccount.get(key);
+  if (!hub) {
+    hub = new TwitchHub({
+      identity,
+      onIdle: () => {
+        if (byAccount.get(key) === hub) byAccount.delete(key);
+      },
+    });
+    byAccount.set(key, hub);
+  }
+  return hub;
+}
+
+function subTier(plan) {
+  if (!plan) return null;
+  if (/prime/i.test(plan)) return "prime";
+  const n = Number(plan);
+  return Number.isFinite(n) ? n / 1000 : plan;
+}
+
+function toCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// options: { backfill } number of recent messages to load through
+// manager.twitchHistory (see ./twitchHistory) when joining.
+async function connectTwitch(manager, channelRaw, options = {}) {
+  const channel = parseTwitchChannel(channelRaw);
+  if (!channel) {
+    manager.setStatus("チャンネル名を入力してね");
+    return;
+  }
+
+  const id = `twitch:${channel}`;
+  const connection = manager.openConnection({
+    id,
+    type: "twitch",
+    label: `Twitch #${channel}`,
+    status: "接続中…",
+  });
+  if (!connection) return;
+
+  const identity = manager.getIdentity("twitch");
+  const token = normalizeOAuthToken(identity?.token);
+  const authenticated = Boolean(identity?.username && token);
+
+  const hub = hubFor(
+    manager,
+    authenticated ? { username: identity.username, token } : null
+  );
+  const room = hub.room(channel);
+
+  // Broadcaster id, taken from ROOMSTATE (or any message) of the channel.
+  let roomId = null;
+  let tokenInfo = null;
+
+  const resolveTokenInfo = async () => {
+    if (!tokenInfo) {
+      const info = await twitchApi("GET", VALIDATE_URL, { token });
+      tokenInfo = { clientId: info?.client_id, userId: info?.user_id };
+    }
+    return tokenInfo;
+  };
+
+  const resolveUserId = async (login, api) => {
+    const json = await twitchApi("GET", helixUrl("/users", { login }), api);
+    const userId = json?.data?.[0]?.id;
+    if (!userId) throw new Error(`ユーザー ${login} が見つかりません`);
+    return userId;
+  };
+
+  if (authenticated) {
+    connection.sendMessage = async (text) => {
+      const body = String(text || "").trim();
+      if (!body) return;
+      if (!hub.client) throw new Error("Twitchに接続していません");
+      await hub.client.say(channel, body);
+    };
+
+    // command: { action: "delete" | "timeout" | "ban" | "unban",
+    //            messageId, userId, login, duration (seconds), reason }
+    connection.moderate = async (command = {}) => {
+      if (!roomId) throw new Error("チャンネル情報を取得中です。少し待ってね");
+      const { clientId, userId: moderatorId } = await resolveTokenInfo();
+      const api = { token, clientId };
+      const base = { broadcaster_id: roomId, moderator_id: moderatorId };
+
+      if (command.action === "delete") {
+        const messageId = String(command.messageId || "").replace(`${id}:`, "");
+        if (!messageId || messageId.startsWith("local-")) {
+          throw new Error("削除できないメッセージです");
+        }
+        const url = helixUrl("/moderation/chat", { ...base, message_id: messageId });
+        await twitchApi("DELETE", url, api);
+        return;
+      }
+
+      const userId =
+        command.userId || (command.login && (await resolveUserId(command.login, api)));
+      if (!userId) throw new Error("対象ユーザーが不明です");
+
+      switch (command.action) {
+        case "timeout":
+        case "ban": {
+          const data = { user_id: userId, reason: command.reason || "" };
+          if (command.action === "timeout") {
+            const seconds = Math.floor(Number(command.duration) || DEFAULT_TIMEOUT_SECONDS);
+            data.duration = Math.min(Math.max(seconds, 1), MAX_TIMEOUT_SECONDS);
+          }
+          const url = helixUrl("/moderation/bans", base);
+          await twitchApi("POST", url, { ...api, body: { data } });
+          return;
+        }
+        case "unban": {
+          const url = helixUrl("/moderation/bans", { ...base, user_id: userId });
+          await twitchApi("DELETE", url, api);
+          return;
+        }
+        default:
+          throw new Error(`不明な操作です: ${command.action}`);
+      }
+    };
+  }
+
+  // canSend/canModerate changed since openConnection.
+  if (authenticated) manager.broadcastConnections();
+
+  let closed = false;
+  connection.disconnect = async () => {
+    closed = true;
+    await hub.part(channel);
+  };
+
+  const connectedStatus = authenticated
+    ? `接続中: #${channel} (${identity.username})`
+    : `接続中: #${channel} (閲覧のみ)`;
+
+  // The socket is shared, so "connected" can fire before this channel's own
+  // join went through; only reconnects (tmi.js rejoins by itself) count here.
+  let joined = false;
+  room.on("connected", () => {
+    if (joined) manager.updateConnectionStatus(id, connectedStatus);
+  });
+  room.on("reconnect", () => manager.updateConnectionStatus(id, "再接続中…"));
+  // The socket is shared by every room and tmi.js reconnects it by itself,
+  // so a drop only changes the status; the room ends once tmi.js gives up.
+  room.on("disconnected", (reason) => {
+    if (closed) return;
+    if (hub.willReconnect()) {
+      manager.updateConnectionStatus(id, `切断: ${reason || "unknown"} (再接続中…)`);
+      return;
+    }
+    manager.setStatus(`#${channel} 切断: ${reason || "unknown"}`);
+    manager.markConnectionEnded(id, "disconnected");
+    // Leave the hub so a later client does not report into an ended room.
+    connection.disconnect().catch(() => {});
+  });
+
+  // Third-party emotes and badge images, loaded once the channel id is known.
+  let assetsLoaded = false;
+  const loadChannelAssets = async () => {
+    if (assetsLoaded || !roomId) return;
+    assetsLoaded = true;
+
+    if (manager.emotes) {
+      manager.emotes
+        .forChannel(roomId)
+        .then((emotes) => manager.updateConnectionEmotes(id, emotes));
+    }
+
+    if (manager.badges) {
+      let auth;
+      if (authenticated) {
+        try {
+          auth = { token, clientId: (await resolveTokenInfo()).clientId };
+        } catch {}
+      }
+      const badges = await manager.badges.forChannel(roomId, { auth });
+      manager.updateConnectionBadges(id, badges);
+    }
+  };
+
+  room.on("roomstate", (_chan, state) => {
+    if (state?.["room-id"]) roomId = state["room-id"];
+    manager.updateRoomState(id, parseRoomState(state));
+    loadChannelAssets();
+  });
+  room.on("slowmode", (_chan, enabled, length) => {
+    manager.updateRoomState(id, { slow: enabled ? Number(length) || 0 : 0 });
+  });
+  room.on("emoteonly", (_chan, enabled) => {
+    manager.updateRoomState(id, { emoteOnly: Boolean(enabled) });
+  });
+  room.on("followersonly", (_chan, enabled, length) => {
+    manager.updateRoomState(id, { followersOnly: enabled ? Number(length) || 0 : null });
+  });
+  room.on("subscribers", (_chan, enabled) => {
+    manager.updateRoomState(id, { subsOnly: Boolean(enabled) });
+  });
+  room.on("r9kbeta", (_chan, enabled) => {
+    manager.updateRoomState(id, { uniqueChat: Boolean(enabled) });
+  });
+
+  room.on("notice", (_chan, msgid, message) => {
+    manager.setStatus(`[${channel}] NOTICE: ${msgid} ${message}`);
+  });
+
+  // Recent messages loaded on join. Live messages are held back until the
+  // history is emitted so it always renders first.
+  const historyProvider = manager.twitchHistory;
+  const backfillCount = Math.max(0, Math.floor(Number(options.backfill) || 0));
+  const backfill = {
+    pending: Boolean(historyProvider) && backfillCount > 0,
+    replaying: false,
+    held: [],
+    ids: new Set(),
+  };
+
+  const emitChat = (message) => {
+    if (backfill.replaying) {
+      backfill.ids.add(message.id);
+    } else if (backfill.pending) {
+      backfill.held.push(message);
+      return;
+    }
+    manager.emitMessage(message);
+  };
+
+  const finishBackfill = (lines) => {
+    backfill.replaying = true;
+    try {
+      hub.replay(channel, lines);
+    } finally {
+      backfill.replaying = false;
+      backfill.pending = false;
+    }
+
+    if (backfill.ids.size) {
+      manager.setStatus(`#${channel} 過去コメント ${backfill.ids.size} 件を取得`);
+    }
+
+    const held = backfill.held;
+    backfill.held = [];
+    for (const message of held) {
+      if (!backfill.ids.has(message.id)) manager.emitMessage(message);
+    }
+  };
+
+  const loadHistory = async () => {
+    const abort = new AbortController();
+    const timer = setTimeout(() => abort.abort(), HISTORY_WAIT_MS);
+    let lines = [];
+    try {
+      lines = await historyProvider.fetchRecent(channel, {
+        limit: backfillCount,
+        signal: abort.signal,
+      });
+    } catch (e) {
+      if (!closed) {
+        manager.setStatus(`#${channel} 過去コメントを取得できませんでした: ${e?.message || e}`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!closed) finishBackfill(lines.slice(-backfillCount));
+  };
+
+  const replyOf = (tags) => {
+    const parentId = tags["reply-parent-msg-id"];
+    if (!parentId) return null;
+    return {
+      messageId: `${id}:${parentId}`,
+      userId: tags["reply-parent-user-id"] || null,
+      login: tags["reply-parent-user-login"] || null,
+      displayName: tags["reply-parent-display-name"] || null,
+      text: tags["reply-parent-msg-body"] || "",
+    };
+  };
+
+  const toChatMessage = (tags, message, self, { type, event } = {}) => {
+    const client = hub.client;
+    return createChatMessage({
+      type,
+      event,
+      platform: "twitch",
+      connectionId: id,
+      channel,
+      source: connection.label,
+      platformId: tags.id,
+      sentAt: Number(tags["tmi-sent-ts"]),
+      history: backfill.replaying,
+      reply: replyOf(tags),
+      user: {
+        id: tags["user-id"] || (self ? client?.globaluserstate?.["user-id"] : null) || null,
+        login: tags.username || (self ? client?.getUsername() : null) || null,
+        displayName: tags["display-name"] || tags.username || null,
+      },
+      text: message,
+      badges: tags.badges,
+      emotes: tags.emotes,
+      extensions: {
+        twitch: {
+          color: tags.color || null,
+          userType: tags["user-type"] || null,
+          messageType: tags["message-type"] || "chat",
+          roomId: tags["room-id"] || null,
+          firstMessage: Boolean(tags["first-msg"]),
+          self: Boolean(self),
+          tags,
+        },
+      },
+    });
+  };
+
+  // Messages we send come back from tmi.js with self=true and the channel's
+  // userstate as tags, so they render like everyone else's.
+  room.on("message", (_channel, tags, message, self) => {
+    if (!roomId && tags["room-id"]) roomId = tags["room-id"];
+    emitChat(toChatMessage(tags, message, self));
+  });
+
+  // USERNOTICE and bits events. tmi.js does not emit "message" for these, so
+  // each is mapped to its own message type with the details in `event`.
+  const emitEvent = (type, tags, message, event) => {
+    emitChat(
+      toChatMessage(tags || {}, message || "", false, {
+        type,
+        event: { ...event, systemText: tags?.["system-msg"] || null },
+      })
+    );
+  };
+
+  room.on("subscription", (_chan, _username, methods, message, tags) => {
+    emitEvent("subscription", tags, message, {
+      tier: subTier(methods?.plan),
+      planName: methods?.planName || null,
+      months: toCount(tags?.["msg-param-cumulative-months"]) || 1,
+    });
+  });
+
+  room.on("resub", (_chan, _username, streakMonths, message, tags, methods) => {
+    emitEvent("resub", tags, message, {
+      tier: subTier(methods?.plan),
+      planName: methods?.planName || null,
+      months: toCount(tags?.["msg-param-cumulative-months"]),
+      streakMonths: streakMonths || null,
+    });
+  });
+
+  const emitSubGift = (tags, recipient, methods, anonymous) => {
+    emitEvent("subgift", tags, "", {
+      tier: subTier(methods?.plan),
+      recipient: recipient || null,
+      recipientId: tags?.["msg-param-recipient-id"] || null,
+      giftMonths: toCount(tags?.["msg-param-gift-months"]) || 1,
+      anonymous,
+    });
+  };
+  room.on("subgift", (_chan, _username, _streak, recipient, methods, tags) =>
+    emitSubGift(tags, recipient, methods, false)
+  );
+  room.on("anonsubgift", (_chan, _streak, recipient, methods, tags) =>
+    emitSubGift(tags, recipient, methods, true)
+  );
+
+  const emitMysteryGift = (tags, count, methods, anonymous) => {
+    emitEvent("submysterygift", tags, "", {
+      tier: subTier(methods?.plan),
+      count: toCount(count),
+      senderTotal: toCount(tags?.["msg-param-sender-count"]),
+      anonymous,
+    });
+  };
+  room.on("submysterygift", (_chan, _username, count, methods, tags) =>
+    emitMysteryGift(tags, count, methods, false)
+  );
+  room.on("anonsubmysterygift", (_chan, count, methods, tags) =>
+    emitMysteryGift(tags, count, methods, true)
+  );
+
+  room.on("giftpaidupgrade", (_chan, _username, sender, tags) => {
+    emitEvent("subupgrade", tags, "", { from: "gift", sender: sender || null, tier: null });
+  });
+  room.on("anongiftpaidupgrade", (_chan, _username, tags) => {
+    emitEvent("subupgrade", tags, "", { from: "anongift", sender: null, tier: null });
+  });
+  room.on("primepaidupgrade", (_chan, _username, methods, tags) => {
+    emitEvent("subupgrade", tags, "", {
+      from: "prime",
+      sender: null,
+      tier: subTier(methods?.plan),
+    });
+  });
+
+  room.on("raided", (_chan, _username, viewers, tags) => {
+    emitEvent("raid", tags, "", { viewers: toCount(viewers) });
+  });
+
+  room.on("cheer", (_chan, tags, message) => {
+    emitChat(
+      toChatMessage(tags, message, false, {
+        type: "cheer",
+        event: { bits: toCount(tags?.bits) },
+      })
+    );
+  });
+
+  room.on("usernotice", (msgid, _chan, tags, message) => {
+    if (msgid !== "announcement") return;
+    emitEvent("announcement", tags, message, {
+      color: tags?.["msg-param-color"] || null,
+    });
+  });
+
+  // Moderation: message ids are reported in the normalized
+  // "<connectionId>:<platform id>" form so consumers can match them directly.
+  const emitModeration = (action, fields) => {
+    manager.emitModeration({ connectionId: id, platform: "twitch", channel, action, ...fields });
+  };
+
+  room.on("messagedeleted", (_chan, username, _deleted, tags) => {
+    const targetId = tags?.["target-msg-id"];
+    emitModeration("delete", {
+      messageId: targetId ? `${id}:${targetId}` : null,
+      login: username || tags?.login || null,
+    });
+  });
+
+  room.on("timeout", (_chan, username, reason, duration, tags) => {
+    emitModeration("timeout", {
+      userId: tags?.["target-user-id"] || null,
+      login: username || null,
+      duration: toCount(duration),
+      reason: reason || null,
+    });
+  });
+
+  room.on("ban", (_chan, username, reason, tags) => {
+    emitModeration("ban", {
+      userId: tags?.["target-user-id"] || null,
+      login: username || null,
+      reason: reason || null,
+    });
+  });
+
+  room.on("clearchat", () => {
+    emitModeration("clear", {});
+  });
+
+  room.on("error", (err) => {
+    manager.setStatus(`ERROR: ${err?.message || String(err)}`);
+  });
+
+  room.on("queued", (position) => {
+    manager.updateConnectionStatus(id, `参加待ち… (${position}番目)`);
+  });
+
+  if (backfill.pending) loadHistory();
+
+  try {
+    await hub.join(channel);
+    joined = true;
+    manager.updateConnectionStatus(id, connectedStatus);
+  } catch (e) {
+    // Disconnected by the user while still waiting for the join.
+    if (closed) return;
+    manager.setStatus(`接続失敗: ${e?.message || String(e)}`);
+    await manager.disconnectConnection(id);
+  }
+}
+
+const twitchAdapter = {
+  name: "twitch",
+  prefixes: ["tw", "twitch"],
+  // Any word can be a channel name, so Twitch only gets what nothing else took.
+  fallback: true,
+  match: (input) => Boolean(parseTwitchChannel(input)),
+  connect: connectTwitch,
+};
+
+module.exports = {
+  parseTwitchChannel,
+  normalizeOAuthToken,
+  connectTwitch,
+  twitchAdapter,
+};
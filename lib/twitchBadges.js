@@ -0,0 +1,109 @@
+// Twitch chat badge images. Badge sets are loaded globally and per channel
+// (subscriber months and bits tiers are channel specific) and merged into
+//
+//   { [setId]: { [version]: { url, title } } }
+//
+// which is what message.badges ({ [setId]: version }) is looked up in.
+//
+// Helix needs a token, so it is only used while logged in; anonymous viewers
+// fall back to the IVR mirror, which serves the same data without one.
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+function toBadgeSets(data) {
+  const sets = {};
+  for (const set of Array.isArray(data) ? data : []) {
+    if (!set?.set_id) continue;
+    const versions = {};
+    for (const version of set.versions || []) {
+      const url = version.image_url_1x || version.image_url_2x;
+      if (!url) continue;
+      versions[version.id] = { url, title: version.title || set.set_id };
+    }
+    sets[set.set_id] = versions;
+  }
+  return sets;
+}
+
+async function getJson(url, { signal, headers } = {}) {
+  const response = await fetch(url, { signal, headers });
+  if (!response.ok) throw new Error(`${url} ${response.status}`);
+  return response.json();
+}
+
+// auth: { token, clientId } of the logged in account.
+function createHelixBadgeProvider({ apiUrl = "https://api.twitch.tv/helix" } = {}) {
+  const api = String(apiUrl).replace(/\/+$/, "");
+  const request = async (path, auth) => {
+    if (!auth?.token || !auth.clientId) throw new Error("Helix badges need a login");
+    const json = await getJson(`${api}${path}`, {
+      headers: { Authorization: `Bearer ${auth.token}`, "Client-Id": auth.clientId },
+    });
+    return toBadgeSets(json?.data);
+  };
+
+  return {
+    name: "helix",
+    global: (auth) => request("/chat/badges/global", auth),
+    channel: (channelId, auth) =>
+      request(`/chat/badges?broadcaster_id=${encodeURIComponent(channelId)}`, auth),
+  };
+}
+
+function createIvrBadgeProvider({ apiUrl = "https://api.ivr.fi/v2" } = {}) {
+  const api = String(apiUrl).replace(/\/+$/, "");
+  const request = async (path) => toBadgeSets(await getJson(`${api}${path}`));
+
+  return {
+    name: "ivr",
+    global: () => request("/twitch/badges/global"),
+    channel: (channelId) =>
+      request(`/twitch/badges/channel?id=${encodeURIComponent(channelId)}`),
+  };
+}
+
+class BadgeRegistry {
+  constructor({ providers = [], ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.providers = providers;
+    this.ttlMs = ttlMs;
+    this.cache = new Map();
+  }
+
+  // Tries the providers in order; only successful results are cached.
+  async load(key, fetchFrom) {
+    const hit = this.cache.get(key);
+    if (hit && Date.now() - hit.at < this.ttlMs) return hit.sets;
+
+    for (const provider of this.providers) {
+      try {
+        const sets = await fetchFrom(provider);
+        this.cache.set(key, { at: Date.now(), sets });
+        return sets;
+      } catch (e) {
+        console.log("[badges]", provider.name, key, e?.message || e);
+      }
+    }
+    return {};
+  }
+
+  async forChannel(channelId, { auth } = {}) {
+    const [globalSets, channelSets] = await Promise.all([
+      this.load("global", (provider) => provider.global(auth)),
+      channelId
+        ? this.load(`channel:${channelId}`, (provider) => provider.channel(channelId, auth))
+        : {},
+    ]);
+
+    const merged = { ...globalSets };
+    for (const [setId, versions] of Object.entries(channelSets)) {
+      merged[setId] = { ...merged[setId], ...versions };
+    }
+    return merged;
+  }
+}
+
+module.exports = {
+  BadgeRegistry,
+  createHelixBadgeProvider,
+  createIvrBadgeProvider,
+};
@@ -0,0 +1,36 @@
+// Recent chat history for Twitch channels, loaded when a channel is joined.
+// Twitch itself has no history API, so this goes through a provider:
+//
+//   { fetchRecent(channel, { limit, signal }) -> Promise<string[]> }
+//
+// returning raw IRC lines (with tags) oldest first. They are replayed through
+// tmi.js like live traffic, see TwitchHub.replay.
+//
+// createRecentMessagesProvider talks to the recent-messages API
+// (https://recent-messages.robotty.de); point `endpoint` at any server with the
+// same GET <endpoint>/<channel>?limit=N -> { messages: [...] } shape.
+
+const DEFAULT_RECENT_MESSAGES_URL = "https://recent-messages.robotty.de/api/v2/recent-messages";
+
+function createRecentMessagesProvider({ endpoint } = {}) {
+  const base = String(endpoint || DEFAULT_RECENT_MESSAGES_URL).replace(/\/+$/, "");
+
+  return {
+    async fetchRecent(channel, { limit, signal } = {}) {
+      const url = new URL(`${base}/${encodeURIComponent(channel)}`);
+      if (limit) url.searchParams.set("limit", String(limit));
+
+      const response = await fetch(url, { signal });
+      const json = await response.json().catch(() => null);
+      if (!response.ok || json?.error) {
+        throw new Error(json?.error || `recent-messages ${response.status}`);
+      }
+      return Array.isArray(json?.messages) ? json.messages : [];
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RECENT_MESSAGES_URL,
+  createRecentMessagesProvider,
+};
@@ -0,0 +1,276 @@
+// One tmi.js client shared by every Twitch connection of the same account.
+// Channels are joined and parted on demand instead of opening a socket per
+// channel, and JOINs go through a queue that stays under Twitch's rate limit
+// (20 joins per 10 seconds for normal accounts).
+//
+// Each channel gets a room (EventEmitter) that re-emits the tmi.js events of
+// that channel with tmi's own arguments, plus the socket level events
+// (connected, reconnect, disconnected, error) shared by all rooms. A room whose
+// join has to wait for the rate limit also gets "queued" (position, 1-based).
+
+const { EventEmitter } = require("events");
+const tmi = require("tmi.js");
+const tmiParser = require("tmi.js/lib/parser");
+
+const JOIN_LIMIT = 20;
+const JOIN_WINDOW_MS = 10 * 1000;
+
+// tmi.js events whose first argument is the channel.
+const CHANNEL_EVENTS = [
+  "message",
+  "cheer",
+  "subscription",
+  "resub",
+  "subgift",
+  "anonsubgift",
+  "submysterygift",
+  "anonsubmysterygift",
+  "giftpaidupgrade",
+  "anongiftpaidupgrade",
+  "primepaidupgrade",
+  "raided",
+  "roomstate",
+  "slowmode",
+  "emoteonly",
+  "followersonly",
+  "subscribers",
+  "r9kbeta",
+  "notice",
+  "messagedeleted",
+  "timeout",
+  "ban",
+  "clearchat",
+];
+
+const SOCKET_EVENTS = ["connected", "reconnect", "disconnected", "error"];
+
+// tmi.js retries forever by default; after this many it gives up and the
+// rooms end (see willReconnect).
+const MAX_RECONNECT_ATTEMPTS = 10;
+
+// Replayed history is not worth a log line per message.
+const QUIET_LOGGER = {
+  info() {},
+  warn() {},
+  error() {},
+};
+
+function channelKey(raw) {
+  return String(raw || "").replace(/^#/, "").toLowerCase();
+}
+
+class TwitchHub {
+  // identity: { username, token } or null for an anonymous (read only) client.
+  // onIdle is called once the last channel is parted and the socket closed.
+  constructor({ identity = null, onIdle } = {}) {
+    this.identity = identity;
+    this.onIdle = onIdle;
+    this.client = null;
+    this.connecting = null;
+    this.rooms = new Map();
+    this.joinQueue = [];
+    this.joinTimes = [];
+    this.joinTimer = null;
+    this.replayer = null;
+  }
+
+  // Returns the room of a channel, creating it so listeners can be attached
+  // before join() (ROOMSTATE arrives right after the JOIN).
+  room(channel) {
+    const key = channelKey(channel);
+    let room = this.rooms.get(key);
+    if (!room) {
+      room = new EventEmitter();
+      this.rooms.set(key, room);
+    }
+    return room;
+  }
+
+  ensureClient() {
+    if (this.connecting) return this.connecting;
+
+    // No debug: tmi.js would log every IRC line, and its log level is global,
+    // so an anonymous client with debug on would log the logged in one too.
+    const client = new tmi.Client({
+      options: { debug: false },
+      connection: {
+        reconnect: true,
+        secure: true,
+        maxReconnectAttempts: MAX_RECONNECT_ATTEMPTS,
+      },
+      identity: this.identity
+        ? {
+            username: this.identity.username.toLowerCase(),
+            password: `oauth:${this.identity.token}`,
+          }
+        : undefined,
+      channels: [],
+    });
+
+    this.routeChannelEvents(client);
+    for (const event of SOCKET_EVENTS) {
+      client.on(event, (...args) => {
+        for (const room of this.rooms.values()) room.emit(event, ...args);
+      });
+    }
+
+    // Rooms check willReconnect() on "disconnected" first; then a client that
+    // gave up is dropped so the next join starts a fresh one.
+    client.on("disconnected", () => {
+      if (!this.willReconnect(client)) this.discardClient(client);
+    });
+
+    this.client = client;
+    this.connecting = client.connect().catch((e) => {
+      this.discardClient(client);
+      throw e;
+    });
+    return this.connecting;
+  }
+
+  // False once tmi.js stopped reconnecting: it ran out of attempts or turned
+  // reconnect off itself (login failures).
+  willReconnect(client = this.client) {
+    return Boolean(
+      client?.reconnect && client.reconnections < client.maxReconnectAttempts
+    );
+  }
+
+  // Stops a client for good. tmi.js keeps reconnecting a client whose first
+  // connect failed, which would leave a socket nobody can close; a reconnect
+  // it already scheduled calls connect() regardless of the reconnect flag.
+  discardClient(client) {
+    client.reconnect = false;
+    client.connect = () => Promise.resolve();
+    client.removeAllListeners();
+    client.disconnect().catch(() => {});
+    if (this.client === client) {
+      this.client = null;
+      this.connecting = null;
+    }
+  }
+
+  routeChannelEvents(client) {
+    for (const event of CHANNEL_EVENTS) {
+      client.on(event, (...args) => this.route(event, args[0], args));
+    }
+    client.on("usernotice", (...args) => this.route("usernotice", args[1], args));
+  }
+
+  // Feeds raw IRC lines (e.g. recent-messages history) through tmi.js' own
+  // message handling, so the room sees exactly the events and tags a live
+  // line would produce. Events are emitted synchronously.
+  replay(channel, lines) {
+    if (!this.rooms.has(channelKey(channel))) return;
+    if (!this.replayer) {
+      // Never connected; only used for handleMessage. debug matches the
+      // shared client because tmi.js sets its log level globally.
+      this.replayer = new tmi.Client({ options: { debug: false }, logger: QUIET_LOGGER });
+      this.routeChannelEvents(this.replayer);
+    }
+
+    for (const line of lines) {
+      try {
+        this.replayer.handleMessage(tmiParser.msg(String(line)));
+      } catch (e) {
+        console.log("[twitch] history line skipped", e?.message || e);
+      }
+    }
+  }
+
+  route(event, channel, args) {
+    this.rooms.get(channelKey(channel))?.emit(event, ...args);
+  }
+
+  async join(channel) {
+    const key = channelKey(channel);
+    this.room(key);
+    await this.ensureClient();
+    await new Promise((resolve, reject) => {
+      this.joinQueue.push({ channel: key, resolve, reject });
+      this.flushJoins();
+    });
+  }
+
+  flushJoins() {
+    if (this.joinTimer) {
+      this.announceQueue();
+      return;
+    }
+
+    const now = Date.now();
+    this.joinTimes = this.joinTimes.filter((t) => now - t < JOIN_WINDOW_MS);
+
+    while (this.joinQueue.length && this.joinTimes.length < JOIN_LIMIT) {
+      const { channel, resolve, reject } = this.joinQueue.shift();
+      if (!this.rooms.has(channel) || !this.client) {
+        reject(new Error("参加を取り消しました"));
+        continue;
+      }
+      this.joinTimes.push(now);
+      this.client.join(channel).then(resolve, reject);
+    }
+
+    if (this.joinQueue.length) {
+      this.announceQueue();
+      const wait = JOIN_WINDOW_MS - (now - this.joinTimes[0]);
+      this.joinTimer = setTimeout(() => {
+        this.joinTimer = null;
+        this.flushJoins();
+      }, Math.max(wait, 50));
+    }
+  }
+
+  announceQueue() {
+    this.joinQueue.forEach((entry, index) => {
+      this.rooms.get(entry.channel)?.emit("queued", index + 1);
+    });
+  }
+
+  async part(channel) {
+    const key = channelKey(channel);
+    const room = this.rooms.get(key);
+    if (!room) return;
+    this.rooms.delete(key);
+    room.removeAllListeners();
+
+    if (!this.rooms.size) {
+      await this.close();
+      return;
+    }
+
+    const queued = this.joinQueue.findIndex((entry) => entry.channel === key);
+    if (queued !== -1) {
+      const [entry] = this.joinQueue.splice(queued, 1);
+      entry.reject(new Error("参加を取り消しました"));
+      return;
+    }
+
+    try {
+      await this.client?.part(key);
+    } catch {}
+  }
+
+  async close() {
+    if (this.joinTimer) {
+      clearTimeout(this.joinTimer);
+      this.joinTimer = null;
+    }
+    for (const entry of this.joinQueue.splice(0)) {
+      entry.reject(new Error("参加を取り消しました"));
+    }
+
+    const client = this.client;
+    this.client = null;
+    this.connecting = null;
+    this.onIdle?.();
+
+    try {
+      await client?.disconnect();
+    } catch {}
+  }
+}
+
+module.exports = {
+  TwitchHub,
+};
@@ -0,0 +1,457 @@
+// YouTube Live chat connector. Reads the live_chat popout page for the first
+// continuation token and the innertube API key, then polls get_live_chat with
+// the continuation and timeout the server hands back each time.
+//
+// The base URL is configurable (ConnectionManager option youtubeBaseUrl) so a
+// local mock can stand in for www.youtube.com.
+
+const { createChatMessage } = require("./message");
+const { tokenize } = require("./tokenizer");
+
+const DEFAULT_BASE_URL = "https://www.youtube.com";
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
+const MIN_POLL_MS = 1000;
+const MAX_POLL_MS = 10000;
+const DEFAULT_POLL_MS = 5000;
+const MAX_FAILURES = 6;
+
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+
+// Resolves after `ms`, or early on abort. The abort listener is removed again
+// so a long poll loop does not pile them up on the connection's signal.
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Returns { videoId } or { path } (a channel/handle live page to resolve), or
+// null when the input is not a YouTube URL or video id. Bare ids look like
+// Twitch logins, so auto detection passes allowBareId: false; "yt:<id>" is
+// the way to connect to one.
+function parseYouTubeInput(raw, { allowBareId = true } = {}) {
+  const trimmed = String(raw || "").trim();
+  if (!trimmed) return null;
+  if (VIDEO_ID.test(trimmed)) return allowBareId ? { videoId: trimmed } : null;
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.replace(/^(www|m)\./, "");
+  if (host === "youtu.be") {
+    const id = url.pathname.split("/")[1];
+    return VIDEO_ID.test(id || "") ? { videoId: id } : null;
+  }
+  if (host !== "youtube.com") return null;
+
+  const v = url.searchParams.get("v");
+  if (v && VIDEO_ID.test(v)) return { videoId: v };
+
+  const parts = url.pathname.split("/").filter(Boolean);
+  if (["live", "shorts", "embed"].includes(parts[0]) && VIDEO_ID.test(parts[1] || "")) {
+    return { videoId: parts[1] };
+  }
+  // /@handle, /channel/UC..., /c/name, optionally followed by /live
+  if (parts[0]?.startsWith("@") || ["channel", "c", "user"].includes(parts[0])) {
+    const base = parts[0].startsWith("@") ? parts.slice(0, 1) : parts.slice(0, 2);
+    return { path: `/${[...base, "live"].join("/")}` };
+  }
+  return null;
+}
+
+function runsText(value) {
+  if (!value) return "";
+  if (value.simpleText != null) return value.simpleText;
+  return (value.runs || []).map((run) => run.text ?? run.emoji?.shortcuts?.[0] ?? "").join("");
+}
+
+// Message runs -> text and fragments. Custom emojis become emote fragments;
+// the text runs go through the shared tokenizer for URLs and mentions.
+function runsToContent(message) {
+  let text = "";
+  const fragments = [];
+  for (const run of message?.runs || []) {
+    if (run.emoji) {
+      const emoji = run.emoji;
+      if (!emoji.isCustomEmoji) {
+        text += emoji.emojiId;
+        fragments.push({ type: "text", text: emoji.emojiId });
+        continue;
+      }
+      const code = emoji.shortcuts?.[0] || `:${emoji.emojiId}:`;
+      const thumbs = emoji.image?.thumbnails || [];
+      text += code;
+      fragments.push({
+        type: "emote",
+        text: code,
+        id: emoji.emojiId,
+        url: thumbs[0]?.url || "",
+        provider: "youtube",
+      });
+      continue;
+    }
+    const value = run.text || "";
+    text += value;
+    fragments.push(...tokenize(value));
+  }
+
+  // Merge neighbouring text pieces the way the tokenizer would.
+  const merged = [];
+  for (const fragment of fragments) {
+    const last = merged[merged.length - 1];
+    if (fragment.type === "text" && last?.type === "text") last.text += fragment.text;
+    else merged.push({ ...fragment });
+  }
+  return { text, fragments: merged };
+}
+
+// ARGB integer -> "#rrggbb"
+function toHexColor(argb) {
+  const n = Number(argb);
+  if (!Number.isFinite(n)) return null;
+  return `#${(n & 0xffffff).toString(16).padStart(6, "0")}`;
+}
+
+function authorBadges(renderer) {
+  const badges = {};
+  for (const badge of renderer.authorBadges || []) {
+    const info = badge.liveChatAuthorBadgeRenderer;
+    if (!info) continue;
+    const icon = info.icon?.iconType;
+    if (icon === "OWNER") badges.broadcaster = "1";
+    else if (icon === "MODERATOR") badges.moderator = "1";
+    else if (icon === "VERIFIED") badges.verified = "1";
+    else if (info.customThumbnail) badges.member = info.tooltip || "1";
+  }
+  return badges;
+}
+
+function findContinuation(continuations) {
+  for (const entry of continuations || []) {
+    const data =
+      entry.invalidationContinuationData ||
+      entry.timedContinuationData ||
+      entry.reloadContinuationData;
+    if (data?.continuation) {
+      return { continuation: data.continuation, timeoutMs: Number(data.timeoutMs) || null };
+    }
+  }
+  return null;
+}
+
+function extractJson(html, marker) {
+  const start = html.indexOf(marker);
+  if (start === -1) return null;
+  const open = html.indexOf("{", start + marker.length);
+  if (open === -1) return null;
+
+  // Walk to the matching brace; strings may contain braces.
+  let depth = 0;
+  let inString = false;
+  for (let i = open; i < html.length; i += 1) {
+    const ch = html[i];
+    if (inString) {
+      if (ch === "\\") i += 1;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "{") {
+      depth += 1;
+    } else if (ch === "}") {
+      depth -= 1;
+      if (depth === 0) {
+        try {
+          return JSON.parse(html.slice(open, i + 1));
+        } catch {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+async function connectYouTube(manager, input, options = {}) {
+  const parsed = parseYouTubeInput(input);
+  if (!parsed) {
+    manager.setStatus("YouTubeのURLまたは動画IDを入力してね");
+    return;
+  }
+
+  const baseUrl = String(manager.youtubeBaseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const headers = { "User-Agent": USER_AGENT, "Accept-Language": "ja,en;q=0.8" };
+
+  let videoId = parsed.videoId;
+  if (!videoId) {
+    manager.setStatus(`YouTube ${parsed.path} の配信を検索中…`);
+    try {
+      const res = await fetch(`${baseUrl}${parsed.path}`, { headers });
+      const html = res.ok ? await res.text() : "";
+      const canonical = html.match(/<link rel="canonical" href="[^"]*\/watch\?v=([\w-]{11})"/);
+      videoId = canonical?.[1] || null;
+    } catch (e) {
+      manager.setStatus(`YouTube取得失敗: ${e?.message || String(e)}`);
+      return;
+    }
+    if (!videoId) {
+      manager.setStatus(`YouTube ${parsed.path}: 配信中のライブが見つかりません`);
+      return;
+    }
+  }
+
+  const id = `youtube:${videoId}`;
+  const abort = new AbortController();
+  const connection = manager.openConnection({
+    id,
+    type: "youtube",
+    label: `YouTube ${videoId}`,
+    status: "YouTubeに接続中…",
+    disconnect: async () => abort.abort(),
+  });
+  if (!connection) return;
+
+  const fail = async (text) => {
+    manager.setStatus(`YouTube ${videoId}: ${text}`);
+    await manager.disconnectConnection(id);
+  };
+
+  let html;
+  try {
+    const res = await fetch(`${baseUrl}/live_chat?is_popout=1&v=${videoId}`, {
+      headers,
+      signal: abort.signal,
+    });
+    if (!res.ok) {
+      await fail(`チャットページ取得失敗 (${res.status})`);
+      return;
+    }
+    html = await res.text();
+  } catch (e) {
+    if (!abort.signal.aborted) await fail(`チャットページ取得失敗: ${e?.message || String(e)}`);
+    return;
+  }
+
+  const apiKey = html.match(/"INNERTUBE_API_KEY":"([^"]+)"/)?.[1];
+  const clientVersion = html.match(/"INNERTUBE_CLIENT_VERSION":"([^"]+)"/)?.[1] || "2.20240101";
+  const initial = extractJson(html, "ytInitialData")?.contents?.liveChatRenderer;
+  let next = findContinuation(initial?.continuations);
+
+  if (!apiKey || !next) {
+    await fail("ライブチャットが見つかりません (配信していないか、チャットが無効です)");
+    return;
+  }
+
+  const toChatMessage = (renderer, { type = "chat", event = null, message, history }) => {
+    const content = runsToContent(message);
+    const chat = createChatMessage({
+      type,
+      event,
+      platform: "youtube",
+      connectionId: id,
+      channel: videoId,
+      source: connection.label,
+      platformId: renderer.id,
+      sentAt: Number(renderer.timestampUsec) / 1000,
+      user: {
+        id: renderer.authorExternalChannelId || null,
+        login: null,
+        displayName: runsText(renderer.authorName) || null,
+      },
+      text: content.text,
+      badges: authorBadges(renderer),
+      history,
+      extensions: {
+        youtube: {
+          authorPhoto: renderer.authorPhoto?.thumbnails?.[0]?.url || null,
+        },
+      },
+    });
+    chat.fragments = content.fragments;
+    return chat;
+  };
+
+  // Chat item renderer -> normalized message, or null for items we skip.
+  const fromItem = (item, history) => {
+    if (item.liveChatTextMessageRenderer) {
+      const r = item.liveChatTextMessageRenderer;
+      return toChatMessage(r, { message: r.message, history });
+    }
+    if (item.liveChatPaidMessageRenderer) {
+      const r = item.liveChatPaidMessageRenderer;
+      return toChatMessage(r, {
+        type: "superchat",
+        event: {
+          amountText: runsText(r.purchaseAmountText),
+          color: toHexColor(r.bodyBackgroundColor),
+        },
+        message: r.message,
+        history,
+      });
+    }
+    if (item.liveChatPaidStickerRenderer) {
+      const r = item.liveChatPaidStickerRenderer;
+      return toChatMessage(r, {
+        type: "supersticker",
+        event: {
+          amountText: runsText(r.purchaseAmountText),
+          color: toHexColor(r.backgroundColor),
+          stickerUrl: r.sticker?.thumbnails?.[0]?.url || null,
+        },
+        history,
+      });
+    }
+    if (item.liveChatMembershipItemRenderer) {
+      const r = item.liveChatMembershipItemRenderer;
+      const months = Number(runsText(r.headerPrimaryText).match(/\d+/)?.[0]) || null;
+      return toChatMessage(r, {
+        type: "membership",
+        event: {
+          months,
+          systemText: runsText(r.headerPrimaryText) || runsText(r.headerSubtext) || null,
+        },
+        message: r.message,
+        history,
+      });
+    }
+    if (item.liveChatSponsorshipsGiftPurchaseAnnouncementRenderer) {
+      const r = item.liveChatSponsorshipsGiftPurchaseAnnouncementRenderer;
+      const header = r.header?.liveChatSponsorshipsHeaderRenderer || {};
+      const systemText = runsText(header.primaryText);
+      const author = {
+        ...header,
+        id: r.id,
+        timestampUsec: r.timestampUsec,
+        authorExternalChannelId: r.authorExternalChannelId,
+      };
+      return toChatMessage(author, {
+        type: "membershipgift",
+        event: { count: Number(systemText.match(/\d+/)?.[0]) || null, systemText },
+        history,
+      });
+    }
+    return null;
+  };
+
+  const handleActions = (actions, history) => {
+    for (const action of actions || []) {
+      const item = action.addChatItemAction?.item;
+      if (item) {
+        // One item YouTube renders differently must not stop the rest.
+        try {
+          const chat = fromItem(item, history);
+          if (chat) manager.emitMessage(chat);
+        } catch (e) {
+          console.log("[youtube]", videoId, e?.message || e);
+        }
+        continue;
+      }
+
+      const deleted = action.markChatItemAsDeletedAction;
+      if (deleted?.targetItemId) {
+        manager.emitModeration({
+          connectionId: id,
+          platform: "youtube",
+          channel: videoId,
+          action: "delete",
+          messageId: `${id}:${deleted.targetItemId}`,
+        });
+        continue;
+      }
+
+      const byAuthor = action.markChatItemsByAuthorAsDeletedAction;
+      if (byAuthor?.externalChannelId) {
+        manager.emitModeration({
+          connectionId: id,
+          platform: "youtube",
+          channel: videoId,
+          action: "ban",
+          userId: byAuthor.externalChannelId,
+        });
+      }
+    }
+  };
+
+  // The popout page already carries the most recent chat; emit the last
+  // `backfill` items of it as history.
+  const backfillCount = Math.max(0, Math.floor(Number(options.backfill) || 0));
+  if (backfillCount) {
+    const recent = (initial.actions || []).filter((a) => a.addChatItemAction);
+    handleActions(recent.slice(-backfillCount), true);
+  }
+
+  manager.updateConnectionStatus(id, `接続中: YouTube ${videoId}`);
+
+  const endpoint = `${baseUrl}/youtubei/v1/live_chat/get_live_chat?key=${apiKey}&prettyPrint=false`;
+  const context = { client: { clientName: "WEB", clientVersion, hl: "ja", gl: "JP" } };
+  let failures = 0;
+
+  (async () => {
+    while (!abort.signal.aborted) {
+      let json;
+      try {
+        const res = await fetch(endpoint, {
+          method: "POST",
+          headers: { ...headers, "Content-Type": "application/json" },
+          body: JSON.stringify({ context, continuation: next.continuation }),
+          signal: abort.signal,
+        });
+        if (!res.ok) throw new Error(`get_live_chat ${res.status}`);
+        json = await res.json();
+      } catch (e) {
+        if (abort.signal.aborted) return;
+        failures += 1;
+        if (failures > MAX_FAILURES) {
+          await fail(`チャット取得失敗: ${e?.message || String(e)}`);
+          return;
+        }
+        manager.updateConnectionStatus(id, `再試行中… (${failures})`);
+        await wait(Math.min(1000 * 2 ** failures, 30000), abort.signal);
+        continue;
+      }
+
+      if (failures) manager.updateConnectionStatus(id, `接続中: YouTube ${videoId}`);
+      failures = 0;
+
+      const chat = json?.continuationContents?.liveChatContinuation;
+      handleActions(chat?.actions, false);
+
+      next = findContinuation(chat?.continuations);
+      if (!next) {
+        // No continuation means the live chat is over.
+        manager.setStatus(`YouTube ${videoId} 配信終了`);
+        manager.markConnectionEnded(id, "ended");
+        return;
+      }
+
+      const interval = next.timeoutMs ?? DEFAULT_POLL_MS;
+      await wait(Math.min(Math.max(interval, MIN_POLL_MS), MAX_POLL_MS), abort.signal);
+    }
+  })().catch((e) => {
+    if (!abort.signal.aborted) fail(`チャット取得失敗: ${e?.message || String(e)}`);
+  });
+}
+
+const youtubeAdapter = {
+  name: "youtube",
+  prefixes: ["yt", "youtube"],
+  match: (input) => Boolean(parseYouTubeInput(input, { allowBareId: false })),
+  connect: connectYouTube,
+};
+
+module.exports = {
+  parseYouTubeInput,
+  connectYouTube,
+  youtubeAdapter,
+};
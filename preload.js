@@ -1,8 +1,20 @@
 const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("twitch", {
-  connect: (channel) => ipcRenderer.invoke("twitch:connect", channel),
+  connect: (channel, options) =>
+    ipcRenderer.invoke("twitch:connect", channel, options),
   disconnect: (id) => ipcRenderer.invoke("twitch:disconnect", id),
+  playback: (id, command) => ipcRenderer.invoke("twitch:playback", id, command),
+  send: (id, text, options) =>
+    ipcRenderer.invoke("twitch:send", id, text, options),
+  moderate: (id, command) => ipcRenderer.invoke("twitch:moderate", id, command),
+  audit: () => ipcRenderer.invoke("twitch:audit:get"),
+  auth: {
+    get: () => ipcRenderer.invoke("twitch:auth:get"),
+    set: (platform, credentials) =>
+      ipcRenderer.invoke("twitch:auth:set", platform, credentials),
+    clear: (platform) => ipcRenderer.invoke("twitch:auth:clear", platform),
+  },
   onEvent: (handler) => {
     ipcRenderer.on("twitch:event", (_e, data) => handler(data));
   },
@@ -7,7 +7,31 @@ window.addEventListener("DOMContentLoaded", () => {
     list: document.getElementById("list"),
     connections: document.getElementById("connections"),
     ng: document.getElementById("ng"),
+    highlight: document.getElementById("highlight"),
+    moderationMode: document.getElementById("moderation-mode"),
+    auditLog: document.getElementById("audit-log"),
     clear: document.getElementById("clear"),
+    backfill: document.getElementById("backfill"),
+    endExport: document.getElementById("end-export"),
+    endDisconnect: document.getElementById("end-disconnect"),
+    twitchUsername: document.getElementById("twitch-username"),
+    twitchToken: document.getElementById("twitch-token"),
+    twitchAuthState: document.getElementById("twitch-auth-state"),
+    twitchLogin: document.getElementById("twitch-login"),
+    twitchLogout: document.getElementById("twitch-logout"),
+    composer: document.getElementById("composer"),
+    composerTarget: document.getElementById("composer-target"),
+    composerText: document.getElementById("composer-text"),
+    composerSend: document.getElementById("composer-send"),
+    nicoSession: document.getElementById("nico-session"),
+    nicoAuthState: document.getElementById("nico-auth-state"),
+    nicoLogin: document.getElementById("nico-login"),
+    nicoLogout: document.getElementById("nico-logout"),
+    nicoPostOptions: document.getElementById("nico-post-options"),
+    nicoAnonymous: document.getElementById("nico-anonymous"),
+    nicoColor: document.getElementById("nico-color"),
+    nicoPosition: document.getElementById("nico-position"),
+    nicoSize: document.getElementById("nico-size"),
   };
 
   function setStatus(payload) {
@@ -22,96 +46,733 @@ window.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  function buildMessageContent(text, emotes) {
+  function emoteImage(src, alt, provider) {
+    const img = document.createElement("img");
+    img.className = "emote";
+    if (provider) img.dataset.provider = provider;
+    img.src = src;
+    img.alt = alt;
+    img.title = alt;
+    img.loading = "lazy";
+    return img;
+  }
+
+  function cheerTier(bits) {
+    if (bits >= 10000) return 10000;
+    if (bits >= 5000) return 5000;
+    if (bits >= 1000) return 1000;
+    if (bits >= 100) return 100;
+    return 1;
+  }
+
+  // Renders the fragments produced by lib/tokenizer.js.
+  function buildMessageContent({ text, fragments }) {
     const fragment = document.createDocumentFragment();
-    const content = String(text ?? "");
-
-    const emoteRanges = [];
-
-    if (emotes && typeof emotes === "object") {
-      for (const [id, ranges] of Object.entries(emotes)) {
-        if (!Array.isArray(ranges)) continue;
-        for (const range of ranges) {
-          const [startStr, endStr] = String(range || "").split("-");
-          const start = Number(startStr);
-          const end = Number(endStr);
-          if (Number.isInteger(start) && Number.isInteger(end) && start <= end) {
-            emoteRanges.push({ start, end, id });
-          }
+    if (!Array.isArray(fragments)) {
+      fragment.append(String(text ?? ""));
+      return fragment;
+    }
+
+    for (const part of fragments) {
+      switch (part.type) {
+        case "emote":
+          fragment.appendChild(emoteImage(part.url, part.text || `:${part.id}:`, part.provider));
+          break;
+        case "url": {
+          const link = document.createElement("a");
+          link.className = "link";
+          link.href = part.href;
+          link.target = "_blank";
+          link.rel = "noreferrer";
+          link.textContent = part.text;
+          fragment.appendChild(link);
+          break;
         }
+        case "mention": {
+          const mention = document.createElement("span");
+          mention.className = "mention";
+          mention.textContent = part.text;
+          fragment.appendChild(mention);
+          break;
+        }
+        case "cheermote": {
+          const cheer = document.createElement("span");
+          cheer.className = "cheermote";
+          cheer.dataset.tier = String(cheerTier(part.bits));
+          cheer.textContent = part.text;
+          fragment.appendChild(cheer);
+          break;
+        }
+        default:
+          fragment.append(part.text ?? "");
       }
     }
+    return fragment;
+  }
 
-    emoteRanges.sort((a, b) => a.start - b.start);
+  // Kept only for the end-of-program export, so only for platforms whose
+  // connections end, and only the fields the export needs.
+  const messageLog = new Map();
+  const MESSAGE_LOG_LIMIT = 5000;
+  const ENDING_PLATFORMS = new Set(["niconico", "youtube"]);
+
+  function recordMessage(message) {
+    if (!message?.connectionId || !ENDING_PLATFORMS.has(message.platform)) return;
+    const log = messageLog.get(message.connectionId) || [];
+    log.push({
+      id: message.id,
+      type: message.type,
+      receivedAt: message.receivedAt,
+      sentAt: message.sentAt,
+      user: message.user?.displayName || message.user?.login || message.user?.id || null,
+      text: message.text,
+    });
+    if (log.length > MESSAGE_LOG_LIMIT) log.splice(0, log.length - MESSAGE_LOG_LIMIT);
+    messageLog.set(message.connectionId, log);
+  }
 
-    let cursor = 0;
-    const pushText = (value) => {
-      if (value) fragment.append(document.createTextNode(value));
-    };
+  function exportMessages(connectionId) {
+    const log = messageLog.get(connectionId) || [];
+    const body = log.map((m) => JSON.stringify(m)).join("\n");
+    const blob = new Blob([body ? `${body}\n` : ""], { type: "application/x-ndjson" });
+    const url = URL.createObjectURL(blob);
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `komebyu-${connectionId.replace(/[^\w-]+/g, "_")}-${stamp}.jsonl`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function handleEnded({ connectionId }) {
+    if (!connectionId) return;
+    if (el.endExport.checked) exportMessages(connectionId);
+    if (el.endDisconnect.checked) window.twitch.disconnect(connectionId);
+  }
+
+  // connectionId -> { [setId]: { [version]: { url, title } } }
+  const badgeSets = new Map();
 
-    for (const { start, end, id } of emoteRanges) {
-      if (cursor < start) pushText(content.slice(cursor, start));
+  function updateBadges({ connectionId, badges }) {
+    if (connectionId) badgeSets.set(connectionId, badges || {});
+  }
+
+  function buildBadges(connectionId, badges) {
+    const sets = badgeSets.get(connectionId);
+    if (!sets || !badges) return null;
 
-      const emoteText = content.slice(start, end + 1);
+    const container = document.createElement("span");
+    container.className = "badges";
+    for (const [setId, version] of Object.entries(badges)) {
+      const badge = sets[setId]?.[version];
+      if (!badge) continue;
       const img = document.createElement("img");
-      img.className = "emote";
-      img.src = `https://static-cdn.jtvnw.net/emoticons/v2/${id}/default/dark/1.0`;
-      img.alt = emoteText || `:${id}:`;
-      img.loading = "lazy";
-      fragment.appendChild(img);
+      img.className = "badge";
+      img.src = badge.url;
+      img.alt = badge.title;
+      img.title = badge.title;
+      container.appendChild(img);
+    }
+    return container.childNodes.length ? container : null;
+  }
 
-      cursor = end + 1;
+  // Colors Twitch assigns to users who never picked one.
+  const DEFAULT_NAME_COLORS = [
+    "#FF0000", "#0000FF", "#008000", "#B22222", "#FF7F50",
+    "#9ACD32", "#FF4500", "#2E8B57", "#DAA520", "#D2691E",
+    "#5F9EA0", "#1E90FF", "#FF69B4", "#8A2BE2", "#00FF7F",
+  ];
+  const LIST_BACKGROUND = [0x0d, 0x0d, 0x12];
+  const MIN_NAME_CONTRAST = 4.5;
+  const nameColorCache = new Map();
+
+  function relativeLuminance([r, g, b]) {
+    const channel = (v) => {
+      const c = v / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  }
+
+  function contrastRatio(a, b) {
+    const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (hi + 0.05) / (lo + 0.05);
+  }
+
+  // Mixes the color towards white until it is readable on the list background.
+  function readableColor(hex) {
+    if (nameColorCache.has(hex)) return nameColorCache.get(hex);
+
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    const base = [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+
+    let rgb = base;
+    for (let step = 1; step <= 10; step += 1) {
+      if (contrastRatio(rgb, LIST_BACKGROUND) >= MIN_NAME_CONTRAST) break;
+      rgb = base.map((c) => Math.round(c + ((255 - c) * step) / 10));
     }
 
-    if (cursor < content.length) pushText(content.slice(cursor));
+    const color = `rgb(${rgb.join(", ")})`;
+    nameColorCache.set(hex, color);
+    return color;
+  }
 
-    if (!fragment.childNodes.length) pushText(content);
+  function nameColorOf(message) {
+    if (message.platform !== "twitch" && message.platform !== "irc") return null;
+    const picked = message.extensions?.twitch?.color;
+    if (picked) return readableColor(picked);
 
-    return fragment;
+    const key = message.user?.login || message.user?.displayName;
+    if (!key) return null;
+    let hash = 0;
+    for (const ch of key) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    return readableColor(DEFAULT_NAME_COLORS[hash % DEFAULT_NAME_COLORS.length]);
+  }
+
+  // Fediverse posts carry the poster's avatar.
+  function avatarOf(message) {
+    const src = message.extensions?.[message.platform]?.avatar;
+    if (!src) return null;
+    const img = document.createElement("img");
+    img.className = "avatar";
+    img.src = src;
+    img.alt = "";
+    img.loading = "lazy";
+    return img;
+  }
+
+  function displayNameOf(user) {
+    return user?.displayName || user?.login || user?.id || "unknown";
+  }
+
+  function tierLabel(tier) {
+    if (tier === "prime") return "Prime";
+    return tier ? `Tier ${tier}` : "";
+  }
+
+  function describeEvent({ type, event, user }) {
+    const name = displayNameOf(user);
+    const tier = tierLabel(event?.tier);
+    const withTier = (text) => (tier ? `${text} (${tier})` : text);
+
+    switch (type) {
+      case "subscription":
+        return withTier(`${name} がサブスクしました`);
+      case "resub": {
+        const streak = event?.streakMonths ? ` / 連続 ${event.streakMonths} ヶ月` : "";
+        return withTier(`${name} が ${event?.months ?? "?"} ヶ月目のサブスク${streak}`);
+      }
+      case "subgift": {
+        const sender = event?.anonymous ? "匿名" : name;
+        return withTier(`${sender} が ${event?.recipient || "?"} にサブスクをギフト`);
+      }
+      case "submysterygift": {
+        const sender = event?.anonymous ? "匿名" : name;
+        return withTier(`${sender} がサブスク ${event?.count ?? "?"} 個をギフト`);
+      }
+      case "subupgrade":
+        return event?.from === "prime"
+          ? withTier(`${name} が Prime から有料サブスクに切り替え`)
+          : `${name} がギフトサブスクを継続`;
+      case "raid":
+        return `${name} が ${event?.viewers ?? "?"} 人でレイド`;
+      case "cheer":
+        return `${name} が ${event?.bits ?? "?"} ビッツ`;
+      case "announcement":
+        return "アナウンス";
+      case "superchat":
+        return `${name} のスーパーチャット ${event?.amountText || ""}`.trim();
+      case "supersticker":
+        return `${name} のスーパーステッカー ${event?.amountText || ""}`.trim();
+      case "membership":
+        return event?.months
+          ? `${name} がメンバー継続 ${event.months} ヶ月`
+          : `${name} がメンバーになりました`;
+      case "membershipgift":
+        return `${name} がメンバーシップ ${event?.count ?? "?"} 件をギフト`;
+      case "notice":
+        return `${name} からのNOTICE`;
+      case "join":
+        return `${name} が参加しました`;
+      case "part":
+        return event?.reason
+          ? `${name} が退出しました (${event.reason})`
+          : `${name} が退出しました`;
+      default:
+        return event?.systemText || type;
+    }
   }
 
-  function appendMessage({ user, text, badges, emotes, source }) {
+  // Logged in Twitch account; mentions of it are always highlighted.
+  let ownLogin = null;
+
+  function highlightNames() {
+    const names = (el.highlight.value || "")
+      .split("\n")
+      .map((s) => s.trim().replace(/^@/, "").toLowerCase())
+      .filter(Boolean);
+    if (ownLogin) names.push(ownLogin);
+    return names;
+  }
+
+  function mentionsHighlighted(message) {
+    if (message.extensions?.twitch?.self) return false;
+    const names = highlightNames();
+    if (!names.length) return false;
+
+    if (names.includes(message.reply?.login?.toLowerCase())) return true;
+    const mentions = (message.fragments || []).filter((f) => f.type === "mention");
+    if (mentions.some((f) => names.includes(f.login))) return true;
+
+    // Whole words only, so "bob" does not light up "bobby" or "kabob".
+    const text = String(message.text || "");
+    return names.some((name) => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, "iu").test(text);
+    });
+  }
+
+  function scrollToMessage(messageId) {
+    const target = el.list.querySelector(`.msg[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!target) {
+      setStatus("返信元のコメントはもう一覧にありません");
+      return;
+    }
+    // Instant, so the list is already away from the bottom when the next
+    // comment arrives and appendToList leaves it there.
+    target.scrollIntoView({ block: "center" });
+    target.classList.remove("flash");
+    void target.offsetWidth;
+    target.classList.add("flash");
+  }
+
+  function buildReplyHeader(reply) {
+    const header = document.createElement("div");
+    header.className = "reply-header";
+    const name = reply.displayName || reply.login || "?";
+    const body = Array.from(reply.text || "");
+    const excerpt = body.length > 40 ? `${body.slice(0, 40).join("")}…` : body.join("");
+    header.textContent = `↳ @${name} への返信: ${excerpt}`;
+    header.title = reply.text || "";
+    header.addEventListener("click", () => scrollToMessage(reply.messageId));
+    return header;
+  }
+
+  function appendMessage(message) {
+    const { type, user, text, badges, source, history, extensions } = message;
     const ngWords = (el.ng.value || "")
       .split("\n")
       .map((s) => s.trim())
       .filter(Boolean);
 
-    if (ngWords.some((w) => text.includes(w) || user.includes(w))) return;
+    const userName = displayNameOf(user);
+    const userKeys = [userName, user?.login, user?.id].filter(Boolean);
+    if (ngWords.some((w) => text.includes(w) || userKeys.some((k) => k.includes(w)))) {
+      return;
+    }
 
     const item = document.createElement("div");
     item.className = "msg";
+    item.dataset.messageId = message.id || "";
+    item.dataset.connectionId = message.connectionId || "";
+    item.dataset.platform = message.platform || "";
+    if (user?.id) item.dataset.userId = user.id;
+    if (user?.login) item.dataset.login = user.login.toLowerCase();
+    if (history) item.classList.add("history");
+    if (extensions?.twitch?.self) item.classList.add("self");
+    if (mentionsHighlighted(message)) item.classList.add("highlight");
+    if (message.reply?.messageId) item.appendChild(buildReplyHeader(message.reply));
 
     const from = document.createElement("span");
     from.className = "source";
     from.textContent = source || "unknown";
 
+    const isEvent = type && type !== "chat";
+    if (isEvent) {
+      item.classList.add("event", `event-${type}`);
+      if (message.event?.color) item.dataset.color = message.event.color.toLowerCase();
+
+      const summary = document.createElement("div");
+      summary.className = "event-summary";
+      summary.appendChild(from);
+      summary.append(describeEvent(message));
+      if (message.event?.stickerUrl) {
+        summary.appendChild(emoteImage(message.event.stickerUrl, "sticker", message.platform));
+      }
+      item.appendChild(summary);
+      if (type === "superchat" || type === "supersticker") {
+        if (message.event?.color) item.style.borderLeftColor = message.event.color;
+      }
+
+      if (!text) {
+        appendToList(item);
+        return;
+      }
+    }
+
     const name = document.createElement("span");
     name.className = "name";
-    name.textContent = user;
+    name.textContent = userName;
+    const color = nameColorOf(message);
+    if (color) name.style.color = color;
 
     const body = document.createElement("span");
     body.className = "text";
     body.append(": ");
-    body.appendChild(buildMessageContent(text, emotes));
+    body.appendChild(buildMessageContent(message));
 
     if (badges?.broadcaster) item.classList.add("broadcaster");
     if (badges?.moderator) item.classList.add("moderator");
     if (badges?.subscriber) item.classList.add("subscriber");
 
-    item.appendChild(from);
+    if (!isEvent) item.appendChild(from);
+    const avatar = avatarOf(message);
+    if (avatar) item.appendChild(avatar);
+    const badgeIcons = buildBadges(message.connectionId, badges);
+    if (badgeIcons) item.appendChild(badgeIcons);
     item.appendChild(name);
     item.appendChild(body);
 
+    if (message.platform === "twitch") {
+      item.addEventListener("contextmenu", (e) => openModerationMenu(e, message));
+    }
+
+    appendToList(item);
+  }
+
+  const MODERATION_LABELS = {
+    delete: "削除されました",
+    timeout: "タイムアウト",
+    ban: "BAN",
+    clear: "チャットがクリアされました",
+  };
+
+  function applyModeration({ connectionId, action, messageId, userId, login, duration }) {
+    if (!connectionId) return;
+    const scope = `.msg[data-connection-id="${CSS.escape(connectionId)}"]`;
+    let selector = null;
+
+    if (action === "delete" && messageId) {
+      selector = `${scope}[data-message-id="${CSS.escape(messageId)}"]`;
+    } else if (action === "timeout" || action === "ban") {
+      const targets = [];
+      if (userId) targets.push(`${scope}[data-user-id="${CSS.escape(userId)}"]`);
+      if (login) targets.push(`${scope}[data-login="${CSS.escape(login.toLowerCase())}"]`);
+      selector = targets.join(", ");
+    } else if (action === "clear") {
+      selector = scope;
+    }
+    if (!selector) return;
+
+    let label = MODERATION_LABELS[action] || action;
+    if (action === "timeout" && duration) label += ` (${duration}秒)`;
+
+    for (const item of el.list.querySelectorAll(selector)) {
+      item.classList.add("moderated");
+      item.title = label;
+    }
+  }
+
+  function applyModerationMode() {
+    el.list.classList.toggle("moderation-hide", el.moderationMode.value === "hide");
+  }
+
+  el.moderationMode.addEventListener("change", applyModerationMode);
+
+  const moderatable = new Set();
+
+  const MOD_ACTIONS = [
+    { action: "delete", label: "メッセージを削除" },
+    { action: "timeout", duration: 60, label: "タイムアウト 1分" },
+    { action: "timeout", duration: 600, label: "タイムアウト 10分" },
+    { action: "timeout", duration: 3600, label: "タイムアウト 1時間" },
+    { action: "timeout", duration: 86400, label: "タイムアウト 1日" },
+    { action: "ban", label: "BAN" },
+    { action: "unban", label: "BAN解除" },
+  ];
+
+  const modMenu = document.createElement("div");
+  modMenu.className = "mod-menu";
+  modMenu.hidden = true;
+  document.body.appendChild(modMenu);
+
+  function closeModerationMenu() {
+    modMenu.hidden = true;
+    modMenu.innerHTML = "";
+  }
+
+  function openModerationMenu(e, message) {
+    if (!moderatable.has(message.connectionId)) return;
+    if (!message.user?.id && !message.user?.login) return;
+    e.preventDefault();
+    closeModerationMenu();
+
+    const name = displayNameOf(message.user);
+    const title = document.createElement("div");
+    title.className = "mod-menu-title";
+    title.textContent = name;
+    modMenu.appendChild(title);
+
+    const canDelete = message.type === "chat" && !message.id.includes(":local-");
+    for (const entry of MOD_ACTIONS) {
+      if (entry.action === "delete" && !canDelete) continue;
+
+      const button = document.createElement("button");
+      button.className = "secondary";
+      button.textContent = entry.label;
+      button.addEventListener("click", () => {
+        closeModerationMenu();
+        runModeration(message, entry);
+      });
+      modMenu.appendChild(button);
+    }
+
+    modMenu.hidden = false;
+    const { innerWidth, innerHeight } = window;
+    modMenu.style.left = `${Math.min(e.clientX, innerWidth - modMenu.offsetWidth - 4)}px`;
+    modMenu.style.top = `${Math.min(e.clientY, innerHeight - modMenu.offsetHeight - 4)}px`;
+  }
+
+  async function runModeration(message, { action, duration, label }) {
+    const name = displayNameOf(message.user);
+    const target = action === "delete" ? `${name} のメッセージ` : name;
+    if (!window.confirm(`${message.source}\n${target} に「${label}」を実行しますか？`)) return;
+
+    await window.twitch.moderate(message.connectionId, {
+      action,
+      duration,
+      messageId: action === "delete" ? message.id : undefined,
+      userId: message.user?.id,
+      login: message.user?.login,
+    });
+  }
+
+  document.addEventListener("click", (e) => {
+    if (!modMenu.contains(e.target)) closeModerationMenu();
+  });
+  // Only scrolling by the user closes the menu; the list also scrolls when new
+  // comments arrive.
+  const SCROLL_KEYS = new Set(["PageUp", "PageDown", "Home", "End", "ArrowUp", "ArrowDown"]);
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" || SCROLL_KEYS.has(e.key)) closeModerationMenu();
+  });
+  el.list.addEventListener("wheel", closeModerationMenu, { passive: true });
+  el.list.addEventListener("touchmove", closeModerationMenu, { passive: true });
+
+  const AUDIT_LIMIT = 50;
+  const AUDIT_LABELS = { delete: "削除", timeout: "タイムアウト", ban: "BAN", unban: "BAN解除" };
+
+  function appendAuditEntry(entry) {
+    if (!entry) return;
+    const row = document.createElement("div");
+    row.className = "audit-entry";
+    if (!entry.ok) row.classList.add("failed");
+
+    const time = new Date(entry.at).toLocaleString();
+    let action = AUDIT_LABELS[entry.action] || entry.action;
+    if (entry.action === "timeout" && entry.duration) action += ` ${entry.duration}秒`;
+    const target = entry.login || entry.userId || "";
+    const result = entry.ok ? "成功" : `失敗: ${entry.error || ""}`;
+    row.textContent = `${time} ${entry.label} ${action} ${target} (${result})`;
+
+    el.auditLog.prepend(row);
+    while (el.auditLog.children.length > AUDIT_LIMIT) el.auditLog.lastChild.remove();
+  }
+
+  // Within this distance of the bottom the list keeps following new comments;
+  // once scrolled further up (by hand or to a reply) it stays put.
+  const FOLLOW_THRESHOLD_PX = 40;
+
+  function isNearBottom() {
+    const { scrollTop, scrollHeight, clientHeight } = el.list;
+    return scrollHeight - scrollTop - clientHeight <= FOLLOW_THRESHOLD_PX;
+  }
+
+  function appendToList(item) {
+    const follow = isNearBottom();
     el.list.appendChild(item);
-    el.list.scrollTop = el.list.scrollHeight;
+    if (follow) el.list.scrollTop = el.list.scrollHeight;
 
     const max = 500;
     while (el.list.children.length > max) el.list.removeChild(el.list.firstChild);
   }
 
+  const statsHistory = new Map();
+  const STATS_TREND_WINDOW_MS = 60 * 1000;
+
+  function recordStatistics({ connectionId, watchCount, commentCount, receivedAt }) {
+    const history = statsHistory.get(connectionId) || [];
+    history.push({ at: receivedAt || Date.now(), watchCount, commentCount });
+    const limit = history[history.length - 1].at - STATS_TREND_WINDOW_MS * 5;
+    while (history.length > 1 && history[0].at < limit) history.shift();
+    statsHistory.set(connectionId, history);
+  }
+
+  function formatTrend(latest, baseline) {
+    if (!Number.isFinite(latest) || !Number.isFinite(baseline)) return "";
+    const diff = latest - baseline;
+    if (diff > 0) return ` ▲${diff.toLocaleString()}`;
+    if (diff < 0) return ` ▼${Math.abs(diff).toLocaleString()}`;
+    return " ±0";
+  }
+
+  function describeStatistics(connectionId) {
+    const history = statsHistory.get(connectionId);
+    if (!history?.length) return "";
+
+    const latest = history[history.length - 1];
+    const baseline =
+      history.find((h) => latest.at - h.at <= STATS_TREND_WINDOW_MS) || history[0];
+
+    const parts = [];
+    const describe = (title, key) => {
+      const value = latest[key];
+      if (!Number.isFinite(value)) return;
+      parts.push(`${title} ${value.toLocaleString()}${formatTrend(value, baseline[key])}`);
+    };
+    describe("視聴", "watchCount");
+    describe("コメ", "commentCount");
+    return parts.join(" / ");
+  }
+
+  function updateStatistics(payload) {
+    if (!payload?.connectionId) return;
+    recordStatistics(payload);
+
+    const row = el.connections.querySelector(
+      `.connection-row[data-connection-id="${CSS.escape(payload.connectionId)}"]`
+    );
+    const stats = row?.querySelector(".connection-stats");
+    if (stats) stats.textContent = describeStatistics(payload.connectionId);
+  }
+
+  const PLAYBACK_SPEEDS = [0.5, 1, 1.5, 2, 4, 8];
+
+  function formatDuration(ms) {
+    if (!Number.isFinite(ms)) return "--:--";
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, "0");
+    return h ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+  }
+
+  function buildPlaybackControls(conn) {
+    const controls = document.createElement("div");
+    controls.className = "playback";
+
+    const toggle = document.createElement("button");
+    toggle.className = "secondary playback-toggle";
+    toggle.addEventListener("click", () => {
+      window.twitch.playback(conn.id, { action: "toggle" });
+    });
+
+    const time = document.createElement("span");
+    time.className = "playback-time";
+
+    const seek = document.createElement("input");
+    seek.type = "range";
+    seek.className = "playback-seek";
+    seek.min = "0";
+    seek.step = "1000";
+    seek.addEventListener("input", () => {
+      seek.dataset.dragging = "true";
+      const preview = formatDuration(Number(seek.value));
+      time.textContent = `${preview} / ${formatDuration(Number(seek.max))}`;
+    });
+    seek.addEventListener("change", () => {
+      delete seek.dataset.dragging;
+      window.twitch.playback(conn.id, { action: "seek", value: Number(seek.value) });
+    });
+
+    const speed = document.createElement("select");
+    speed.className = "playback-speed";
+    for (const value of PLAYBACK_SPEEDS) {
+      const option = document.createElement("option");
+      option.value = String(value);
+      option.textContent = `x${value}`;
+      speed.appendChild(option);
+    }
+    speed.addEventListener("change", () => {
+      window.twitch.playback(conn.id, { action: "speed", value: Number(speed.value) });
+    });
+
+    controls.append(toggle, seek, time, speed);
+    updatePlaybackControls(controls, conn.playback);
+    return controls;
+  }
+
+  function updatePlaybackControls(controls, state) {
+    if (!controls) return;
+    const toggle = controls.querySelector(".playback-toggle");
+    const seek = controls.querySelector(".playback-seek");
+    const time = controls.querySelector(".playback-time");
+    const speed = controls.querySelector(".playback-speed");
+
+    const playing = state?.state === "playing";
+    toggle.textContent = playing ? "⏸" : "▶";
+
+    const duration = state?.duration;
+    seek.disabled = !Number.isFinite(duration);
+    if (Number.isFinite(duration)) seek.max = String(duration);
+    if (!seek.dataset.dragging && Number.isFinite(state?.position)) {
+      seek.value = String(state.position);
+    }
+
+    const suffix = state?.buffering ? " (読込中)" : state?.state === "ended" ? " (終了)" : "";
+    time.textContent = `${formatDuration(state?.position)} / ${formatDuration(duration)}${suffix}`;
+
+    if (state?.speed && document.activeElement !== speed) {
+      speed.value = String(state.speed);
+    }
+  }
+
+  function updatePlayback(payload) {
+    if (!payload?.connectionId) return;
+    const row = el.connections.querySelector(
+      `.connection-row[data-connection-id="${CSS.escape(payload.connectionId)}"]`
+    );
+    updatePlaybackControls(row?.querySelector(".playback"), payload);
+  }
+
+  function describeGaps(gaps) {
+    if (!gaps) return "";
+    const parts = [];
+    if (gaps.pending) parts.push(`欠落確認中 ${gaps.pending}`);
+    if (gaps.recovered) parts.push(`復旧 ${gaps.recovered}`);
+    if (gaps.lost) parts.push(`欠落 ${gaps.lost}`);
+    return parts.length ? `コメント ${parts.join(" ・ ")} 件` : "";
+  }
+
+  function roomStateChips(state) {
+    if (!state) return [];
+    const chips = [];
+    if (state.slow) chips.push(`スロー ${state.slow}秒`);
+    if (state.emoteOnly) chips.push("エモートのみ");
+    if (state.followersOnly != null) {
+      chips.push(state.followersOnly ? `フォロワー限定 ${state.followersOnly}分` : "フォロワー限定");
+    }
+    if (state.subsOnly) chips.push("サブスク限定");
+    if (state.uniqueChat) chips.push("ユニークチャット");
+    return chips;
+  }
+
   function renderConnections(list) {
     el.connections.innerHTML = "";
 
+    const activeIds = new Set((Array.isArray(list) ? list : []).map((c) => c.id));
+    for (const id of statsHistory.keys()) {
+      if (!activeIds.has(id)) statsHistory.delete(id);
+    }
+    for (const id of messageLog.keys()) {
+      if (!activeIds.has(id)) messageLog.delete(id);
+    }
+    for (const id of badgeSets.keys()) {
+      if (!activeIds.has(id)) badgeSets.delete(id);
+    }
+
     if (!Array.isArray(list) || list.length === 0) {
       const empty = document.createElement("div");
       empty.className = "connection-status";
@@ -123,6 +784,8 @@ window.addEventListener("DOMContentLoaded", () => {
     for (const conn of list) {
       const row = document.createElement("div");
       row.className = "connection-row";
+      row.dataset.connectionId = conn.id;
+      if (conn.ended) row.classList.add("ended");
 
       const info = document.createElement("div");
       info.className = "connection-info";
@@ -134,13 +797,38 @@ window.addEventListener("DOMContentLoaded", () => {
       const status = document.createElement("div");
       status.className = "connection-status";
       status.textContent = conn.status || "接続中";
+      const gapText = describeGaps(conn.gaps);
+      if (gapText) status.textContent += ` / ${gapText}`;
+
+      if (conn.statistics && !statsHistory.has(conn.id)) {
+        recordStatistics({ connectionId: conn.id, ...conn.statistics });
+      }
+
+      const stats = document.createElement("div");
+      stats.className = "connection-stats";
+      stats.textContent = describeStatistics(conn.id);
 
       info.appendChild(label);
       info.appendChild(status);
+      info.appendChild(stats);
+
+      const chips = roomStateChips(conn.roomState);
+      if (chips.length) {
+        const room = document.createElement("div");
+        room.className = "room-state";
+        for (const text of chips) {
+          const chip = document.createElement("span");
+          chip.className = "room-chip";
+          chip.textContent = text;
+          room.appendChild(chip);
+        }
+        info.appendChild(room);
+      }
+      if (conn.mode === "timeshift") info.appendChild(buildPlaybackControls(conn));
 
       const disconnect = document.createElement("button");
       disconnect.className = "secondary";
-      disconnect.textContent = "切断";
+      disconnect.textContent = conn.ended ? "閉じる" : "切断";
       disconnect.addEventListener("click", () => {
         window.twitch.disconnect(conn.id);
       });
@@ -151,8 +839,107 @@ window.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  function updateComposerOptions() {
+    const selected = el.composerTarget.selectedOptions[0];
+    el.nicoPostOptions.hidden = selected?.dataset.type !== "niconico";
+  }
+
+  function composerOptions() {
+    const selected = el.composerTarget.selectedOptions[0];
+    if (selected?.dataset.type !== "niconico") return {};
+    return {
+      anonymous: el.nicoAnonymous.checked,
+      color: el.nicoColor.value || undefined,
+      position: el.nicoPosition.value || undefined,
+      size: el.nicoSize.value || undefined,
+    };
+  }
+
+  function renderComposerTargets(list) {
+    const targets = (Array.isArray(list) ? list : []).filter((c) => c.canSend);
+    const previous = el.composerTarget.value;
+    el.composerTarget.innerHTML = "";
+
+    for (const conn of targets) {
+      const option = document.createElement("option");
+      option.value = conn.id;
+      option.dataset.type = conn.type;
+      option.textContent = conn.label;
+      el.composerTarget.appendChild(option);
+    }
+
+    if (targets.some((c) => c.id === previous)) el.composerTarget.value = previous;
+    updateComposerOptions();
+
+    const enabled = targets.length > 0;
+    el.composerTarget.disabled = !enabled;
+    el.composerText.disabled = !enabled;
+    el.composerSend.disabled = !enabled;
+    el.composerText.placeholder = enabled
+      ? "コメントを送信"
+      : "送信できる接続がありません (ログインして接続してね)";
+  }
+
+  function renderAuthState(state) {
+    const twitch = state?.twitch;
+    el.twitchAuthState.textContent = twitch?.loggedIn
+      ? `Twitch: ログイン中 (${twitch.name})`
+      : "Twitch: 未ログイン (閲覧のみ)";
+    if (twitch?.name) el.twitchUsername.value = twitch.name;
+    ownLogin = twitch?.loggedIn && twitch.name ? twitch.name.toLowerCase() : null;
+
+    el.nicoAuthState.textContent = state?.niconico?.loggedIn
+      ? "ニコニコ: ログイン中"
+      : "ニコニコ: 未ログイン (閲覧のみ)";
+  }
+
+  el.composer.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const text = el.composerText.value.trim();
+    const target = el.composerTarget.value;
+    if (!text || !target) return;
+
+    el.composerSend.disabled = true;
+    try {
+      const result = await window.twitch.send(target, text, composerOptions());
+      if (result?.ok) el.composerText.value = "";
+    } finally {
+      el.composerSend.disabled = false;
+      el.composerText.focus();
+    }
+  });
+
+  el.twitchLogin.addEventListener("click", async () => {
+    const state = await window.twitch.auth.set("twitch", {
+      username: el.twitchUsername.value,
+      token: el.twitchToken.value,
+    });
+    el.twitchToken.value = "";
+    renderAuthState(state);
+  });
+
+  el.twitchLogout.addEventListener("click", async () => {
+    renderAuthState(await window.twitch.auth.clear("twitch"));
+  });
+
+  el.nicoLogin.addEventListener("click", async () => {
+    const state = await window.twitch.auth.set("niconico", {
+      session: el.nicoSession.value,
+    });
+    el.nicoSession.value = "";
+    renderAuthState(state);
+  });
+
+  el.nicoLogout.addEventListener("click", async () => {
+    renderAuthState(await window.twitch.auth.clear("niconico"));
+  });
+
+  el.composerTarget.addEventListener("change", updateComposerOptions);
+
   el.connect.addEventListener("click", () => {
-    window.twitch.connect(el.channel.value);
+    window.twitch.connect(el.channel.value, {
+      backfill: Math.max(0, Number(el.backfill.value) || 0),
+    });
   });
 
   el.disconnect.addEventListener("click", () => {
@@ -163,10 +950,28 @@ window.addEventListener("DOMContentLoaded", () => {
 
   window.twitch.onEvent(({ type, payload }) => {
     if (type === "status") setStatus(payload);
-    if (type === "message") appendMessage(payload);
-    if (type === "connections") renderConnections(payload);
+    if (type === "message") {
+      recordMessage(payload);
+      appendMessage(payload);
+    }
+    if (type === "connections") {
+      moderatable.clear();
+      for (const conn of payload || []) if (conn.canModerate) moderatable.add(conn.id);
+      renderConnections(payload);
+      renderComposerTargets(payload);
+    }
+    if (type === "statistics") updateStatistics(payload);
+    if (type === "ended") handleEnded(payload);
+    if (type === "playback") updatePlayback(payload);
+    if (type === "moderation") applyModeration(payload);
+    if (type === "audit") appendAuditEntry(payload);
+    if (type === "badges") updateBadges(payload);
   });
 
   setStatus("未接続");
   renderConnections([]);
+  renderComposerTargets([]);
+  applyModerationMode();
+  window.twitch.auth.get().then(renderAuthState);
+  window.twitch.audit().then((entries) => entries.forEach(appendAuditEntry));
 });